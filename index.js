@@ -1,24 +1,51 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const sanitizeHtml = require('sanitize-html');
 require('dotenv').config();
-const { extractYoutubeVideoId, getEnhancedYoutubeData, generateVideoFromImages } = require('./utils/videoProcessor');
-const { processPostsForVideos, processedPosts } = require('./utils/backgroundTasks');
+const { extractYoutubeVideoId, getEnhancedYoutubeData } = require('./utils/videoProcessor');
+const { processPostsForVideos } = require('./utils/backgroundTasks');
+const { getVideoRecord, clearDeletedMedia } = require('./utils/videoStore');
+const { validateVideoOptions, checkDefaultVideoOptions } = require('./utils/videoOptions');
+const { listTracks, listMoods } = require('./utils/musicLibrary');
+const { enqueueVideoJob, getVideoJob, cancelVideoJob, cancelVideoJobForPost, retryVideoJob } = require('./utils/videoJobs');
+const { getRecipeIndex, invalidateRecipeIndex, parseRecipeFilters, filterRecipes } = require('./utils/recipeIndex');
+const { matchRecipeIngredients } = require('./utils/ingredientMatcher');
+const { buildShoppingList } = require('./utils/shoppingList');
+const { cached, getTtl, invalidateCache } = require('./utils/cache');
+const { WEBHOOK_EVENTS, verifyWebhookSignature } = require('./utils/webhooks');
+const { removeSyncedPost, getLastSyncReport } = require('./utils/contentSync');
+const { sweepWorkspaces } = require('./utils/workspace');
+const { STORAGE_BACKEND, LOCAL_STORAGE_DIR, LOCAL_MEDIA_ROUTE, getStorage, deleteObject, listObjects } = require('./utils/storage');
+const wordpress = require('./utils/wordpressClient');
+const { WordPressApiError } = wordpress;
+const { extractRecipeData } = require('./utils/recipeParser');
+const { scaleRecipe } = require('./utils/recipeScaler');
+const { UNIT_SYSTEMS, convertRecipe } = require('./utils/unitConverter');
+const { buildRecipeJsonLd } = require('./utils/recipeSchema');
+const { parseContent, extractContentImages } = require('./utils/postContent');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Set up the storage backend now, so a wrong STORAGE_BACKEND or missing S3
+// settings stop the server from starting instead of failing the first upload
+getStorage();
+// Same for render defaults such as an unknown name in VIDEO_PRESETS
+checkDefaultVideoOptions();
+
 // Security middleware
 app.use(helmet());
 
 // Rate limiting
 const limiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    // Conditional requests answered with 304 don't count against the limit
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode === 304
 });
 app.use(limiter);
 
@@ -32,11 +59,71 @@ app.use(cors({
             callback(new Error('Not allowed by CORS'));
         }
     },
-    methods: ['GET'],
+    methods: ['GET', 'POST', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
+// Keep the raw body around so webhook signatures can be checked against it
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+
+// WordPress webhook. Registered before the API key check because WordPress
+// signs its deliveries with WORDPRESS_WEBHOOK_SECRET instead.
+app.post('/api/webhooks/wordpress', (req, res) => {
+    const verification = verifyWebhookSignature(req.rawBody, req.headers);
+    if (!verification.valid) {
+        return sendError(res, 401, 'Unauthorized', verification.reason);
+    }
+
+    const { event } = req.body;
+    const postId = parseInt(req.body.post_id);
+    if (!WEBHOOK_EVENTS.includes(event) || isNaN(postId) || postId < 1) {
+        return sendError(res, 400, 'Invalid webhook payload', `Expected an event (${WEBHOOK_EVENTS.join(', ')}) and a post_id`);
+    }
+
+    // Post lists may include the post, so drop them all along with its own entries
+    invalidateCache('posts');
+    invalidateCache('enrichedPosts', key => key.startsWith(`enrichedPosts:id=${postId}&`));
+    invalidateRecipeIndex();
+
+    let videoJob = null;
+    if (event === 'post.deleted') {
+        // Don't wait for the next ID reconcile to notice the deletion
+        removeSyncedPost(postId);
+        cancelVideoJobForPost(postId);
+    } else {
+        // Unforced, so the job is skipped when the post's title, images and
+        // captions haven't changed
+        videoJob = enqueueVideoJob(postId, { force: false }).job;
+    }
+
+    console.log(`Handled WordPress webhook ${event} for post ${postId}`);
+    res.status(202).json({
+        received: true,
+        event,
+        postId,
+        videoJob
+    });
+});
+
+// Media stored by the local storage backend. Public, like Vercel Blob and S3
+// URLs, so videos and posters can be embedded directly.
+if (STORAGE_BACKEND === 'local') {
+    app.use(LOCAL_MEDIA_ROUTE, express.static(LOCAL_STORAGE_DIR, {
+        index: false,
+        dotfiles: 'deny',
+        // Stored files get a random suffix and never change
+        immutable: true,
+        maxAge: '365d',
+        setHeaders: (res) => {
+            // helmet defaults to same-origin, which would block embedding
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        }
+    }));
+}
 
 // API key middleware
 const validateApiKey = (req, res, next) => {
@@ -77,8 +164,6 @@ app.use((err, req, res, next) => {
     });
 });
 
-const WORDPRESS_API_URL = 'https://tiffycooks.com/wp-json/wp/v2';
-
 // Helper function to extract author details
 function extractAuthorDetails(post) {
     try {
@@ -158,6 +243,24 @@ const extractFeaturedMedia = (post) => {
     } : null;
 };
 
+// Helper function to build the featured media shape for a post or page
+function buildFeaturedMedia(item) {
+    const featuredMedia = item._embedded?.['wp:featuredmedia']?.[0];
+    return featuredMedia ? {
+        id: featuredMedia.id,
+        title: featuredMedia.title?.rendered,
+        url: featuredMedia.source_url,
+        alt: featuredMedia.alt_text,
+        description: featuredMedia.description?.rendered,
+        caption: featuredMedia.caption?.rendered,
+        meta: {
+            width: featuredMedia.media_details?.width,
+            height: featuredMedia.media_details?.height,
+            sizes: featuredMedia.media_details?.sizes
+        }
+    } : null;
+}
+
 // Helper function to get icon for category
 function getCategoryIcon(category) {
     const iconMap = {
@@ -186,62 +289,15 @@ function getCategoryIcon(category) {
     return iconMap[category.slug] || iconMap.default;
 }
 
-// Helper function to extract recipe data
-function extractRecipeData(content) {
-    if (!content) return null;
-    
-    // Create a temporary DOM element to parse HTML
-    const tempDiv = new (require('jsdom').JSDOM)(`<!DOCTYPE html><div>${content}</div>`).window.document.querySelector('div');
-    
-    // Find the recipe container
-    const recipeContainer = tempDiv.querySelector('.wprm-recipe-container');
-    if (!recipeContainer) return null;
-    
-    return {
-        name: recipeContainer.querySelector('.wprm-recipe-name')?.textContent?.trim(),
-        summary: recipeContainer.querySelector('.wprm-recipe-summary')?.textContent?.trim(),
-        meta: {
-            activeTime: recipeContainer.querySelector('.wprm-recipe-cook_time')?.textContent?.trim(),
-            totalTime: recipeContainer.querySelector('.wprm-recipe-total_time')?.textContent?.trim(),
-            course: recipeContainer.querySelector('.wprm-recipe-course')?.textContent?.trim(),
-            cuisine: recipeContainer.querySelector('.wprm-recipe-cuisine')?.textContent?.trim(),
-            diet: recipeContainer.querySelector('.wprm-recipe-suitablefordiet')?.textContent?.trim(),
-            keywords: recipeContainer.querySelector('.wprm-recipe-keyword')?.textContent?.trim()?.split(',').map(k => k.trim())
-        },
-        ingredients: Array.from(recipeContainer.querySelectorAll('.wprm-recipe-ingredient')).map(ingredient => ({
-            amount: ingredient.querySelector('.wprm-recipe-ingredient-amount')?.textContent?.trim(),
-            unit: ingredient.querySelector('.wprm-recipe-ingredient-unit')?.textContent?.trim(),
-            name: ingredient.querySelector('.wprm-recipe-ingredient-name')?.textContent?.trim(),
-            notes: ingredient.querySelector('.wprm-recipe-ingredient-notes')?.textContent?.trim()
-        })),
-        instructions: Array.from(recipeContainer.querySelectorAll('.wprm-recipe-instruction')).map(instruction => ({
-            text: instruction.querySelector('.wprm-recipe-instruction-text')?.textContent?.trim(),
-            image: instruction.querySelector('.wprm-recipe-instruction-image img')?.getAttribute('src')
-        }))
-    };
-}
-
 // Helper function to extract media from content
-async function extractMediaFromContent(content, postTitle, shouldGenerateVideo = false) {
-    if (!content) return { images: [], videos: [], generatedContent: null };
+async function extractMediaFromContent(content) {
+    if (!content) return { images: [], videos: [] };
 
-    const images = [];
-    const videos = [];
+    const tempDiv = parseContent(content);
 
-    // Create a temporary DOM element to parse HTML
-    const tempDiv = new (require('jsdom').JSDOM)(`<!DOCTYPE html><div>${content}</div>`).window.document.querySelector('div');
-
-    // Extract images
-    tempDiv.querySelectorAll('img').forEach(img => {
-        images.push({
-            url: img.src,
-            alt: img.alt || '',
-            title: img.title || '',
-            width: img.width || null,
-            height: img.height || null,
-            caption: img.getAttribute('data-caption') || ''
-        });
-    });
+    // Extract images, the same way videos are generated from them
+    const images = extractContentImages(tempDiv);
+    const videos = [];
 
     // Extract videos (including iframe embeds)
     const videoPromises = Array.from(tempDiv.querySelectorAll('video, iframe')).map(async video => {
@@ -278,137 +334,706 @@ async function extractMediaFromContent(content, postTitle, shouldGenerateVideo =
     // Wait for all video processing to complete
     await Promise.all(videoPromises);
 
-    // Generate video content from images only if requested
-    const generatedContent = shouldGenerateVideo && images.length > 0 
-        ? await generateVideoFromImages(images, postTitle) 
-        : null;
+    return { images, videos };
+}
+
+// Helper function to send a consistent error response
+function sendError(res, status, error, message, details) {
+    res.status(status).json({
+        error,
+        message,
+        details: process.env.NODE_ENV === 'development' ? details : undefined
+    });
+}
+
+// Helper function to report a failed request. Mapped WordPress errors keep
+// their status and message; anything else is a 500 with details only in development.
+function sendRequestError(res, error, label) {
+    if (error instanceof WordPressApiError) {
+        return sendError(res, error.status, label, error.message, error.stack);
+    }
+
+    sendError(res, 500, label, process.env.NODE_ENV === 'development' ? error.message : label, error.stack);
+}
+
+// Helper function to fetch from the WordPress API through the response cache.
+// Only the body and the pagination headers are kept.
+function fetchFromWordPress(resource, endpoint, params = {}) {
+    return cached(resource, { endpoint, ...params }, async () => {
+        const response = await wordpress.get(endpoint, params);
+        return {
+            data: response.data,
+            headers: {
+                'x-wp-total': response.headers['x-wp-total'],
+                'x-wp-totalpages': response.headers['x-wp-totalpages']
+            }
+        };
+    });
+}
+
+// Helper function to fetch a single post with embeds, returning null if it doesn't exist
+async function fetchPostById(id) {
+    return cached('posts', { endpoint: `/posts/${id}`, _embed: true }, async () => {
+        try {
+            const response = await wordpress.get(`/posts/${id}`, { _embed: true });
+            return response.data;
+        } catch (error) {
+            // WordPress answers unknown IDs with a 404 (rest_post_invalid_id)
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    });
+}
+
+// Helper function to set caching headers for a response. Express adds the
+// ETag itself and answers matching conditional requests with a 304.
+function setCacheHeaders(res, resource, items = []) {
+    const modified = items
+        .map(item => item?.modified_gmt || item?.date_gmt)
+        .filter(Boolean)
+        .map(date => new Date(`${date}Z`).getTime())
+        .filter(time => !isNaN(time));
+
+    if (modified.length > 0) {
+        res.set('Last-Modified', new Date(Math.max(...modified)).toUTCString());
+    }
+
+    res.set('Cache-Control', `private, max-age=${Math.floor(getTtl(resource).ttl / 1000)}`);
+}
+
+// Helper function to build the enriched post shape returned by the posts endpoints.
+// Unchanged posts reuse earlier results instead of re-parsing and calling YouTube.
+async function enrichPost(post, shouldGenerateVideo = false) {
+    const enriched = await cached('enrichedPosts', { id: post.id, modified: post.modified }, () => buildEnrichedPost(post));
+
+    // Videos render in the background; requesting one queues a job, which
+    // is skipped when the post's stored video is already up to date
+    let video = describeLatestVideo(post.id);
+    if (shouldGenerateVideo && enriched.contentMedia.images.length > 0) {
+        const { job } = enqueueVideoJob(post.id, { force: false });
+        video = {
+            ...video,
+            status: job.status,
+            jobId: job.id
+        };
+    }
+
+    return {
+        ...enriched,
+        contentMedia: {
+            ...enriched.contentMedia,
+            aiGeneratedFeaturedVideo: video
+        }
+    };
+}
+
+// Helper function to describe the latest finished video of a post
+function describeLatestVideo(postId) {
+    const record = getVideoRecord(postId);
+    return record?.url ? {
+        status: 'completed',
+        url: record.url,
+        poster: record.poster || null,
+        thumbnail: record.thumbnail || null,
+        preview: record.preview || null,
+        meta: record.meta,
+        renders: record.renders || [],
+        completedAt: record.completedAt
+    } : null;
+}
+
+async function buildEnrichedPost(post) {
+    console.log(`Processing post ${post.id}: ${post.title?.rendered}`);
+    
+    // Extract media from content with more detailed logging
+    console.log('Extracting media from content...');
+    const { images, videos } = await extractMediaFromContent(post.content?.rendered);
+    console.log(`Found ${images.length} images and ${videos.length} videos`);
+    
+    // Extract recipe data if available
+    const recipe = extractRecipeData(post.content?.rendered);
+
+    // Use our extractAuthorDetails function
+    const author = extractAuthorDetails(post);
+
+    // Extract featured media
+    const media = buildFeaturedMedia(post);
+
+    // Extract categories and tags
+    const categories = post._embedded?.['wp:term']?.[0]?.map(cat => ({
+        id: cat.id,
+        name: cat.name,
+        slug: cat.slug,
+        description: cat.description,
+        link: cat.link
+    })) || [];
+
+    const tags = post._embedded?.['wp:term']?.[1]?.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        slug: tag.slug,
+        link: tag.link
+    })) || [];
 
-    return { images, videos, generatedContent };
+    return {
+        id: post.id,
+        title: post.title?.rendered,
+        content: post.content?.rendered,
+        excerpt: post.excerpt?.rendered,
+        slug: post.slug,
+        date: post.date,
+        modified: post.modified,
+        author,
+        featuredMedia: media,
+        contentMedia: {
+            images,
+            videos,
+            aiGeneratedFeaturedVideo: null
+        },
+        recipe, // Add the structured recipe data
+        categories,
+        tags,
+        meta: {
+            ...post.meta,
+            yoast: post.yoast_head_json || {}
+        },
+        link: post.link,
+        status: post.status,
+        type: post.type,
+        format: post.format,
+        commentStatus: post.comment_status,
+        pingStatus: post.ping_status,
+        template: post.template
+    };
 }
 
-app.get('/api/posts', async (req, res) => {
+// Helper function to resolve a category or tag given by slug or ID to its ID
+async function resolveTermId(taxonomy, value) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    const response = await fetchFromWordPress(taxonomy, `/${taxonomy}`, { slug: value });
+
+    return response.data?.[0]?.id || null;
+}
+
+// Helper function to build a link to another page of the current listing
+function buildPageLink(req, page) {
+    const params = new URLSearchParams({ ...req.query, page });
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+const POST_ORDERBY_OPTIONS = ['date', 'modified', 'title', 'slug', 'id', 'relevance'];
+
+const validatePostsQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('per_page must be between 1 and 100'),
+    query('before').optional().isISO8601().withMessage('before must be an ISO 8601 date'),
+    query('after').optional().isISO8601().withMessage('after must be an ISO 8601 date'),
+    query('orderby').optional().isIn(POST_ORDERBY_OPTIONS).withMessage(`orderby must be one of: ${POST_ORDERBY_OPTIONS.join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc')
+];
+
+app.get('/api/posts', validatePostsQuery, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', errors.array().map(err => err.msg).join('; '));
+    }
+
     try {
         console.log('Fetching posts...');
-        const response = await axios.get(`${WORDPRESS_API_URL}/posts`, {
-            params: {
-                _embed: true,
-                per_page: req.query.per_page || 10,
-                orderby: 'date',
-                order: 'desc'
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const orderby = req.query.orderby || 'date';
+
+        if (orderby === 'relevance' && !req.query.search) {
+            return sendError(res, 400, 'Bad Request', 'orderby=relevance requires a search term');
+        }
+
+        const params = {
+            _embed: true,
+            page,
+            per_page: perPage,
+            orderby,
+            order: req.query.order || 'desc'
+        };
+
+        if (req.query.category) {
+            params.categories = await resolveTermId('categories', req.query.category);
+            if (!params.categories) {
+                return sendError(res, 400, 'Bad Request', `Unknown category "${req.query.category}"`);
+            }
+        }
+
+        if (req.query.tag) {
+            params.tags = await resolveTermId('tags', req.query.tag);
+            if (!params.tags) {
+                return sendError(res, 400, 'Bad Request', `Unknown tag "${req.query.tag}"`);
             }
+        }
+
+        if (req.query.search) params.search = req.query.search;
+        if (req.query.before) params.before = new Date(req.query.before).toISOString();
+        if (req.query.after) params.after = new Date(req.query.after).toISOString();
+
+        const response = await fetchFromWordPress('posts', '/posts', params);
+
+        if (!Array.isArray(response.data)) {
+            throw new Error('Expected an array of posts from WordPress API');
+        }
+
+        const total = parseInt(response.headers['x-wp-total']) || 0;
+        const totalPages = parseInt(response.headers['x-wp-totalpages']) || 0;
+        console.log(`Found ${response.data.length} posts (page ${page} of ${totalPages}, ${total} total)`);
+
+        const enrichedPosts = await Promise.all(response.data.map(post =>
+            enrichPost(post, req.query.generate_video === 'true') // Only generate video if explicitly requested
+        ));
+
+        setCacheHeaders(res, 'posts', response.data);
+        res.json({
+            count: enrichedPosts.length,
+            total,
+            totalPages,
+            page,
+            perPage,
+            links: {
+                next: page < totalPages ? buildPageLink(req, page + 1) : null,
+                prev: page > 1 ? buildPageLink(req, Math.min(page - 1, totalPages || 1)) : null
+            },
+            posts: enrichedPosts
+        });
+    } catch (error) {
+        console.error('Error fetching posts:', error);
+        sendRequestError(res, error, 'Failed to fetch posts');
+    }
+});
+
+app.get('/api/posts/slug/:slug', async (req, res) => {
+    try {
+        console.log(`Fetching post with slug ${req.params.slug}...`);
+        const response = await fetchFromWordPress('posts', '/posts', {
+            _embed: true,
+            slug: req.params.slug
         });
 
         if (!Array.isArray(response.data)) {
             throw new Error('Expected an array of posts from WordPress API');
         }
 
-        console.log(`Found ${response.data.length} posts`);
+        if (response.data.length === 0) {
+            return sendError(res, 404, 'Not Found', `Post with slug "${req.params.slug}" not found`);
+        }
 
-        const enrichedPosts = await Promise.all(response.data.map(async post => {
-            console.log(`Processing post ${post.id}: ${post.title?.rendered}`);
-            
-            // Extract media from content with more detailed logging
-            console.log('Extracting media from content...');
-            const { images, videos, generatedContent } = await extractMediaFromContent(
-                post.content?.rendered,
-                post.title?.rendered || 'Untitled Post',
-                req.query.generate_video === 'true' // Only generate video if explicitly requested
+        const post = await enrichPost(response.data[0], req.query.generate_video === 'true');
+        setCacheHeaders(res, 'posts', response.data);
+        res.json({ post });
+    } catch (error) {
+        console.error('Error fetching post by slug:', error);
+        sendRequestError(res, error, 'Failed to fetch post');
+    }
+});
+
+app.get('/api/posts/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', 'Post ID must be a positive integer');
+    }
+
+    try {
+        console.log(`Fetching post ${req.params.id}...`);
+        const wpPost = await fetchPostById(req.params.id);
+        if (!wpPost) {
+            return sendError(res, 404, 'Not Found', `Post ${req.params.id} not found`);
+        }
+
+        const post = await enrichPost(wpPost, req.query.generate_video === 'true');
+        setCacheHeaders(res, 'posts', [wpPost]);
+        res.json({ post });
+    } catch (error) {
+        console.error('Error fetching post:', error);
+        sendRequestError(res, error, 'Failed to fetch post');
+    }
+});
+
+const validateRecipeListQuery = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('per_page must be between 1 and 100'),
+    query('max_total_time').optional().isInt({ min: 1 }).withMessage('max_total_time must be a positive number of minutes')
+];
+
+app.get('/api/recipes', validateRecipeListQuery, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', errors.array().map(err => err.msg).join('; '));
+    }
+
+    try {
+        console.log('Fetching recipes...');
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+
+        const entries = await getRecipeIndex();
+        const { results, facets } = filterRecipes(entries, parseRecipeFilters(req.query));
+
+        const total = results.length;
+        const totalPages = Math.ceil(total / perPage);
+        const recipes = results.slice((page - 1) * perPage, page * perPage);
+
+        res.json({
+            count: recipes.length,
+            total,
+            totalPages,
+            page,
+            perPage,
+            links: {
+                next: page < totalPages ? buildPageLink(req, page + 1) : null,
+                prev: page > 1 ? buildPageLink(req, Math.min(page - 1, totalPages || 1)) : null
+            },
+            facets,
+            recipes
+        });
+    } catch (error) {
+        console.error('Error fetching recipes:', error);
+        sendRequestError(res, error, 'Failed to fetch recipes');
+    }
+});
+
+const validateIngredientSearchQuery = [
+    query('have').trim().notEmpty().withMessage('have must list at least one ingredient'),
+    query('ignore_staples').optional().isBoolean().withMessage('ignore_staples must be true or false'),
+    query('min_match').optional().isInt({ min: 1 }).withMessage('min_match must be a positive integer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('per_page must be between 1 and 100')
+];
+
+app.get('/api/recipes/by-ingredients', validateIngredientSearchQuery, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', errors.array().map(err => err.msg).join('; '));
+    }
+
+    try {
+        const have = req.query.have.split(',').map(item => item.trim()).filter(Boolean);
+        const ignoreStaples = req.query.ignore_staples !== 'false';
+        const minMatch = parseInt(req.query.min_match) || 1;
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        console.log(`Matching recipes against ${have.length} ingredients...`);
+
+        const entries = await getRecipeIndex();
+        const ranked = entries
+            .map(({ recipe, ...entry }) => ({
+                ...entry,
+                name: recipe.name,
+                ...matchRecipeIngredients(recipe, have, { ignoreStaples })
+            }))
+            .filter(result => result.matchedCount >= minMatch)
+            .sort((a, b) =>
+                b.matchedCount - a.matchedCount ||
+                b.matchRatio - a.matchRatio ||
+                a.missing.length - b.missing.length
             );
-            console.log(`Found ${images.length} images and ${videos.length} videos`);
-            
-            // Extract recipe data if available
-            const recipe = extractRecipeData(post.content?.rendered);
 
-            // Use our extractAuthorDetails function
-            const author = extractAuthorDetails(post);
+        const total = ranked.length;
+        const totalPages = Math.ceil(total / perPage);
+        const recipes = ranked.slice((page - 1) * perPage, page * perPage);
 
-            // Extract featured media
-            const featuredMedia = post._embedded?.['wp:featuredmedia']?.[0];
-            const media = featuredMedia ? {
-                id: featuredMedia.id,
-                title: featuredMedia.title?.rendered,
-                url: featuredMedia.source_url,
-                alt: featuredMedia.alt_text,
-                description: featuredMedia.description?.rendered,
-                caption: featuredMedia.caption?.rendered,
-                meta: {
-                    width: featuredMedia.media_details?.width,
-                    height: featuredMedia.media_details?.height,
-                    sizes: featuredMedia.media_details?.sizes
-                }
-            } : null;
-
-            // Extract categories and tags
-            const categories = post._embedded?.['wp:term']?.[0]?.map(cat => ({
-                id: cat.id,
-                name: cat.name,
-                slug: cat.slug,
-                description: cat.description,
-                link: cat.link
-            })) || [];
-
-            const tags = post._embedded?.['wp:term']?.[1]?.map(tag => ({
-                id: tag.id,
-                name: tag.name,
-                slug: tag.slug,
-                link: tag.link
-            })) || [];
+        res.json({
+            count: recipes.length,
+            total,
+            totalPages,
+            page,
+            perPage,
+            links: {
+                next: page < totalPages ? buildPageLink(req, page + 1) : null,
+                prev: page > 1 ? buildPageLink(req, Math.min(page - 1, totalPages || 1)) : null
+            },
+            have,
+            ignoreStaples,
+            recipes
+        });
+    } catch (error) {
+        console.error('Error matching recipes by ingredients:', error);
+        sendRequestError(res, error, 'Failed to match recipes');
+    }
+});
 
-            return {
-                id: post.id,
-                title: post.title?.rendered,
-                content: post.content?.rendered,
-                excerpt: post.excerpt?.rendered,
-                slug: post.slug,
-                date: post.date,
-                modified: post.modified,
-                author,
-                featuredMedia: media,
-                contentMedia: {
-                    images,
-                    videos,
-                    aiGeneratedFeaturedVideo: generatedContent
-                },
-                recipe, // Add the structured recipe data
-                categories,
-                tags,
-                meta: {
-                    ...post.meta,
-                    yoast: post.yoast_head_json || {}
-                },
-                link: post.link,
-                status: post.status,
-                type: post.type,
-                format: post.format,
-                commentStatus: post.comment_status,
-                pingStatus: post.ping_status,
-                template: post.template
-            };
-        }));
+const validateRecipeQuery = [
+    param('postId').isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    query('servings').optional().isFloat({ gt: 0, max: 1000 }).withMessage('servings must be a positive number'),
+    query('scale').optional().isFloat({ gt: 0, max: 100 }).withMessage('scale must be a positive number'),
+    query('units').optional().isIn(UNIT_SYSTEMS).withMessage(`units must be one of: ${UNIT_SYSTEMS.join(', ')}`)
+];
+
+app.get('/api/recipes/:postId', validateRecipeQuery, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', errors.array().map(err => err.msg).join('; '));
+    }
+
+    try {
+        console.log(`Fetching recipe for post ${req.params.postId}...`);
+        const wpPost = await fetchPostById(req.params.postId);
+        if (!wpPost) {
+            return sendError(res, 404, 'Not Found', `Post ${req.params.postId} not found`);
+        }
+
+        const recipe = extractRecipeData(wpPost.content?.rendered);
+        if (!recipe) {
+            return sendError(res, 404, 'Not Found', `Post ${req.params.postId} does not contain a recipe`);
+        }
+
+        const baseServings = recipe.meta.servings;
+        let scale = 1;
+
+        if (req.query.servings) {
+            if (!baseServings) {
+                return sendError(res, 400, 'Bad Request', 'This recipe does not specify its servings; use scale instead');
+            }
+            scale = parseFloat(req.query.servings) / baseServings;
+        } else if (req.query.scale) {
+            scale = parseFloat(req.query.scale);
+        }
+
+        const units = req.query.units || 'original';
+        const scaledRecipe = scale === 1 ? recipe : scaleRecipe(recipe, scale);
 
         res.json({
-            count: enrichedPosts.length,
-            posts: enrichedPosts
+            postId: wpPost.id,
+            scale,
+            units,
+            baseServings,
+            servings: baseServings ? baseServings * scale : null,
+            recipe: convertRecipe(scaledRecipe, units)
         });
     } catch (error) {
-        console.error('Error fetching posts:', error);
-        res.status(error.response?.status || 500).json({ 
-            error: 'Failed to fetch posts',
-            message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to fetch posts',
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        console.error('Error fetching recipe:', error);
+        sendRequestError(res, error, 'Failed to fetch recipe');
+    }
+});
+
+app.get('/api/recipes/:postId/jsonld', param('postId').isInt({ min: 1 }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', 'Post ID must be a positive integer');
+    }
+
+    try {
+        console.log(`Building recipe JSON-LD for post ${req.params.postId}...`);
+        const wpPost = await fetchPostById(req.params.postId);
+        if (!wpPost) {
+            return sendError(res, 404, 'Not Found', `Post ${req.params.postId} not found`);
+        }
+
+        const recipe = extractRecipeData(wpPost.content?.rendered);
+        if (!recipe) {
+            return sendError(res, 404, 'Not Found', `Post ${req.params.postId} does not contain a recipe`);
+        }
+
+        const jsonLd = buildRecipeJsonLd(recipe, {
+            title: wpPost.title?.rendered,
+            dateGmt: wpPost.date_gmt,
+            modifiedGmt: wpPost.modified_gmt,
+            link: wpPost.link,
+            author: extractAuthorDetails(wpPost),
+            featuredMedia: buildFeaturedMedia(wpPost)
+        });
+
+        res.type('application/ld+json').send(JSON.stringify(jsonLd));
+    } catch (error) {
+        console.error('Error building recipe JSON-LD:', error);
+        sendRequestError(res, error, 'Failed to build recipe JSON-LD');
+    }
+});
+
+const validateShoppingListBody = [
+    body('recipes').isArray({ min: 1, max: 20 }).withMessage('recipes must be a list of 1 to 20 recipes'),
+    body('recipes.*.postId').isInt({ min: 1 }).withMessage('Each recipe needs a positive integer postId'),
+    body('recipes.*.servings').optional().isFloat({ gt: 0, max: 1000 }).withMessage('servings must be a positive number')
+];
+
+app.post('/api/shopping-list', validateShoppingListBody, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', errors.array().map(err => err.msg).join('; '));
+    }
+
+    try {
+        console.log(`Building shopping list for ${req.body.recipes.length} recipes...`);
+        const recipes = [];
+
+        for (const { postId, servings } of req.body.recipes) {
+            const wpPost = await fetchPostById(postId);
+            const recipe = wpPost && extractRecipeData(wpPost.content?.rendered);
+            if (!recipe) {
+                return sendError(res, 404, 'Not Found', `Post ${postId} not found or does not contain a recipe`);
+            }
+
+            const baseServings = recipe.meta.servings;
+            if (servings && !baseServings) {
+                return sendError(res, 400, 'Bad Request', `Recipe ${postId} does not specify its servings`);
+            }
+
+            const scale = servings ? parseFloat(servings) / baseServings : 1;
+            recipes.push({
+                postId: wpPost.id,
+                title: wpPost.title?.rendered,
+                servings: baseServings ? baseServings * scale : null,
+                recipe: scale === 1 ? recipe : scaleRecipe(recipe, scale)
+            });
+        }
+
+        const aisles = buildShoppingList(recipes);
+
+        res.json({
+            recipes: recipes.map(({ postId, title, servings }) => ({ postId, title, servings })),
+            count: aisles.reduce((count, aisle) => count + aisle.items.length, 0),
+            aisles
+        });
+    } catch (error) {
+        console.error('Error building shopping list:', error);
+        sendRequestError(res, error, 'Failed to build shopping list');
+    }
+});
+
+app.get('/api/posts/:id/video', param('id').isInt({ min: 1 }), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', 'Post ID must be a positive integer');
+    }
+
+    const video = describeLatestVideo(parseInt(req.params.id));
+    if (!video) {
+        return sendError(res, 404, 'Not Found', `No finished video for post ${req.params.id}`);
+    }
+
+    res.json({ postId: parseInt(req.params.id), video });
+});
+
+app.post('/api/videos', [
+    body('postId').isInt({ min: 1 }),
+    body('options').optional().isObject()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', 'postId must be a positive integer and options an object');
+    }
+
+    const options = req.body.options || {};
+    const optionErrors = validateVideoOptions(options);
+    if (optionErrors.length > 0) {
+        return sendError(res, 400, 'Bad Request', optionErrors.join('; '));
+    }
+
+    try {
+        const postId = parseInt(req.body.postId);
+        const post = await fetchPostById(postId);
+        if (!post) {
+            return sendError(res, 404, 'Not Found', `Post ${postId} not found`);
+        }
+
+        const { job, created } = enqueueVideoJob(postId, { options });
+        console.log(`${created ? 'Queued' : 'Found existing'} video job ${job.id} for post ${postId}`);
+
+        res.status(created ? 202 : 200)
+            .location(`/api/videos/${job.id}`)
+            .json({ job });
+    } catch (error) {
+        console.error('Error queueing video job:', error);
+        sendRequestError(res, error, 'Failed to queue video job');
+    }
+});
+
+app.get('/api/videos/:jobId', (req, res) => {
+    const job = getVideoJob(req.params.jobId);
+    if (!job) {
+        return sendError(res, 404, 'Not Found', `Video job ${req.params.jobId} not found`);
+    }
+
+    res.json({ job });
+});
+
+app.delete('/api/videos/:jobId', (req, res) => {
+    const existing = getVideoJob(req.params.jobId);
+    if (!existing) {
+        return sendError(res, 404, 'Not Found', `Video job ${req.params.jobId} not found`);
+    }
+    if (!['queued', 'running'].includes(existing.status)) {
+        return sendError(res, 409, 'Conflict', `Video job ${req.params.jobId} is already ${existing.status}`);
+    }
+
+    res.json({ job: cancelVideoJob(req.params.jobId) });
+});
+
+app.post('/api/videos/:jobId/retry', (req, res) => {
+    const existing = getVideoJob(req.params.jobId);
+    if (!existing) {
+        return sendError(res, 404, 'Not Found', `Video job ${req.params.jobId} not found`);
+    }
+    if (!['failed', 'cancelled'].includes(existing.status)) {
+        return sendError(res, 409, 'Conflict', 'Only failed or cancelled video jobs can be retried');
+    }
+
+    const { job, created } = retryVideoJob(req.params.jobId);
+    res.status(created ? 202 : 200)
+        .location(`/api/videos/${job.id}`)
+        .json({ job });
+});
+
+app.get('/api/music', (req, res) => {
+    res.json({
+        moods: listMoods(),
+        tracks: listTracks()
+    });
+});
+
+app.get('/api/storage', query('prefix').optional().isString(), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendError(res, 400, 'Bad Request', 'prefix must be a string');
+    }
+
+    try {
+        const objects = await listObjects(req.query.prefix);
+        res.json({
+            backend: STORAGE_BACKEND,
+            total: objects.length,
+            objects
         });
+    } catch (error) {
+        console.error('Error listing stored media:', error);
+        sendRequestError(res, error, 'Failed to list stored media');
+    }
+});
+
+app.delete('/api/storage/:key', async (req, res) => {
+    try {
+        const deleted = await deleteObject(req.params.key);
+        if (!deleted) {
+            return sendError(res, 404, 'Not Found', `No stored object with key ${req.params.key}`);
+        }
+
+        // Stop serving videos whose files are gone
+        const clearedPostIds = clearDeletedMedia(req.params.key);
+
+        res.json({ deleted: true, key: req.params.key, clearedPostIds });
+    } catch (error) {
+        console.error('Error deleting stored media:', error);
+        sendRequestError(res, error, 'Failed to delete stored media');
     }
 });
 
 app.get('/api/categories', async (req, res) => {
     try {
         console.log('Fetching categories...');
-        const response = await axios.get(`${WORDPRESS_API_URL}/categories`, {
-            params: {
-                per_page: 100,
-                orderby: 'count',
-                order: 'desc'
-            }
+        const response = await fetchFromWordPress('categories', '/categories', {
+            per_page: 100,
+            orderby: 'count',
+            order: 'desc'
         });
 
         if (!Array.isArray(response.data)) {
@@ -440,30 +1065,25 @@ app.get('/api/categories', async (req, res) => {
             };
         });
 
+        setCacheHeaders(res, 'categories');
         res.json({
             count: enrichedCategories.length,
             categories: enrichedCategories
         });
     } catch (error) {
         console.error('Error fetching categories:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch categories',
-            message: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        sendRequestError(res, error, 'Failed to fetch categories');
     }
 });
 
 app.get('/api/pages', async (req, res) => {
     try {
         console.log('Fetching pages...');
-        const response = await axios.get(`${WORDPRESS_API_URL}/pages`, {
-            params: {
-                _embed: true,
-                per_page: 100,
-                orderby: 'menu_order',
-                order: 'asc'
-            }
+        const response = await fetchFromWordPress('pages', '/pages', {
+            _embed: true,
+            per_page: 100,
+            orderby: 'menu_order',
+            order: 'asc'
         });
 
         if (!Array.isArray(response.data)) {
@@ -479,20 +1099,7 @@ app.get('/api/pages', async (req, res) => {
             const author = extractAuthorDetails(page);
 
             // Extract featured media
-            const featuredMedia = page._embedded?.['wp:featuredmedia']?.[0];
-            const media = featuredMedia ? {
-                id: featuredMedia.id,
-                title: featuredMedia.title?.rendered,
-                url: featuredMedia.source_url,
-                alt: featuredMedia.alt_text,
-                description: featuredMedia.description?.rendered,
-                caption: featuredMedia.caption?.rendered,
-                meta: {
-                    width: featuredMedia.media_details?.width,
-                    height: featuredMedia.media_details?.height,
-                    sizes: featuredMedia.media_details?.sizes
-                }
-            } : null;
+            const media = buildFeaturedMedia(page);
 
             return {
                 id: page.id,
@@ -517,29 +1124,24 @@ app.get('/api/pages', async (req, res) => {
             };
         });
 
+        setCacheHeaders(res, 'pages', response.data);
         res.json({
             count: enrichedPages.length,
             pages: enrichedPages
         });
     } catch (error) {
         console.error('Error fetching pages:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch pages',
-            message: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        sendRequestError(res, error, 'Failed to fetch pages');
     }
 });
 
 app.get('/api/comments', async (req, res) => {
     try {
         console.log('Fetching comments...');
-        const response = await axios.get(`${WORDPRESS_API_URL}/comments`, {
-            params: {
-                per_page: 100,
-                orderby: 'date',
-                order: 'desc'
-            }
+        const response = await fetchFromWordPress('comments', '/comments', {
+            per_page: 100,
+            orderby: 'date',
+            order: 'desc'
         });
 
         if (!Array.isArray(response.data)) {
@@ -565,17 +1167,14 @@ app.get('/api/comments', async (req, res) => {
             meta: comment.meta || {}
         }));
 
+        setCacheHeaders(res, 'comments', response.data);
         res.json({
             count: enrichedComments.length,
             comments: enrichedComments
         });
     } catch (error) {
         console.error('Error fetching comments:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch comments',
-            message: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        sendRequestError(res, error, 'Failed to fetch comments');
     }
 });
 
@@ -604,6 +1203,7 @@ app.get('/', (req, res) => {
                     margin-right: 8px;
                 }
                 .get { background: #e3f2fd; color: #1565c0; }
+                .post { background: #e8f5e9; color: #2e7d32; }
             </style>
         </head>
         <body>
@@ -635,7 +1235,7 @@ app.get('/', (req, res) => {
                 <h3>Background Tasks</h3>
                 <ul>
                     <li>Automated video generation every 4 hours</li>
-                    <li>Daily content synchronization</li>
+                    <li>Daily incremental content synchronization</li>
                     <li>Rate-limited processing</li>
                     <li>Progress tracking for video generation</li>
                     <li>Error handling and retry mechanisms</li>
@@ -648,6 +1248,71 @@ app.get('/', (req, res) => {
                         <code>/api/posts</code>
                         <p>Fetch blog posts with enhanced media and recipe data</p>
                     </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/posts/:id</code>
+                        <p>Fetch a single post by ID</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/posts/slug/:slug</code>
+                        <p>Fetch a single post by slug</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/recipes</code>
+                        <p>Fetch recipes with cuisine, course, diet, keyword and time filters and facet counts</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/recipes/by-ingredients</code>
+                        <p>Find recipes you can cook with the ingredients you have</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/recipes/:postId</code>
+                        <p>Fetch a post's recipe, optionally scaled by servings or factor</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/recipes/:postId/jsonld</code>
+                        <p>Fetch a post's recipe as schema.org Recipe JSON-LD</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge post">POST</span>
+                        <code>/api/shopping-list</code>
+                        <p>Build one shopping list from several recipes, grouped by aisle</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge post">POST</span>
+                        <code>/api/videos</code>
+                        <p>Queue a video generation job for a post</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/videos/:jobId</code>
+                        <p>Track a video job's progress and final URL</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/posts/:id/video</code>
+                        <p>Fetch a post's latest generated video</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/music</code>
+                        <p>List background music tracks for generated videos</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge get">GET</span>
+                        <code>/api/storage</code>
+                        <p>List stored videos, posters and previews</p>
+                    </div>
+                    <div class="endpoint">
+                        <span class="badge post">POST</span>
+                        <code>/api/webhooks/wordpress</code>
+                        <p>Signed WordPress webhook for published, updated and deleted posts</p>
+                    </div>
                     <div class="endpoint">
                         <span class="badge get">GET</span>
                         <code>/api/categories</code>
@@ -704,6 +1369,9 @@ app.get('/', (req, res) => {
 
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
+
+    // Clear out workspaces a previous run left behind
+    sweepWorkspaces().catch(error => console.error('Error sweeping video workspaces:', error));
     
     // Start initial video processing
     if (process.env.NODE_ENV === 'production') {
@@ -714,7 +1382,12 @@ app.listen(port, () => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-    res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        contentSync: getLastSyncReport(),
+        storage: STORAGE_BACKEND
+    });
 });
 
 // Documentation endpoint
@@ -726,11 +1399,135 @@ app.get('/api/docs', (req, res) => {
             '/api/posts': {
                 methods: ['GET'],
                 parameters: {
-                    per_page: 'number (optional)',
-                    generate_video: 'boolean (optional)'
+                    page: 'number (optional, default 1)',
+                    per_page: 'number (optional, 1-100, default 10)',
+                    category: 'string|number (optional): category slug or ID',
+                    tag: 'string|number (optional): tag slug or ID',
+                    search: 'string (optional)',
+                    before: 'ISO 8601 date (optional)',
+                    after: 'ISO 8601 date (optional)',
+                    orderby: `string (optional): one of ${POST_ORDERBY_OPTIONS.join(', ')}`,
+                    order: 'asc|desc (optional, default desc)',
+                    generate_video: 'boolean (optional): queue video jobs for the returned posts'
                 },
                 description: 'Fetch blog posts with enhanced media and recipe data'
             },
+            '/api/posts/:id': {
+                methods: ['GET'],
+                parameters: {
+                    generate_video: 'boolean (optional)'
+                },
+                description: 'Fetch a single post by ID with enhanced media and recipe data'
+            },
+            '/api/posts/slug/:slug': {
+                methods: ['GET'],
+                parameters: {
+                    generate_video: 'boolean (optional)'
+                },
+                description: 'Fetch a single post by slug with enhanced media and recipe data'
+            },
+            '/api/recipes': {
+                methods: ['GET'],
+                parameters: {
+                    page: 'number (optional, default 1)',
+                    per_page: 'number (optional, 1-100, default 10)',
+                    cuisine: 'string (optional): comma-separated cuisines',
+                    course: 'string (optional): comma-separated courses',
+                    diet: 'string (optional): comma-separated diets',
+                    keyword: 'string (optional): comma-separated keywords',
+                    max_total_time: 'number (optional): maximum total time in minutes'
+                },
+                description: 'Fetch posts that contain a recipe, with facet counts for filtering'
+            },
+            '/api/recipes/by-ingredients': {
+                methods: ['GET'],
+                parameters: {
+                    have: 'string (required): comma-separated ingredients the user has',
+                    ignore_staples: 'boolean (optional, default true): ignore salt, water, oil and similar staples',
+                    min_match: 'number (optional, default 1): minimum matched ingredients',
+                    page: 'number (optional, default 1)',
+                    per_page: 'number (optional, 1-100, default 10)'
+                },
+                description: 'Rank recipes by how many of their ingredients the user already has'
+            },
+            '/api/recipes/:postId': {
+                methods: ['GET'],
+                parameters: {
+                    servings: 'number (optional): scale the recipe to this many servings',
+                    scale: 'number (optional): scale factor, used when servings is not given',
+                    units: `string (optional): one of ${UNIT_SYSTEMS.join(', ')}`
+                },
+                description: 'Fetch the recipe of a post, optionally scaled'
+            },
+            '/api/recipes/:postId/jsonld': {
+                methods: ['GET'],
+                parameters: {},
+                description: 'Fetch the recipe of a post as a schema.org Recipe JSON-LD object'
+            },
+            '/api/shopping-list': {
+                methods: ['POST'],
+                parameters: {
+                    recipes: 'array (required): [{ postId: number, servings: number (optional) }]'
+                },
+                description: 'Merge the ingredients of several recipes into one shopping list grouped by aisle'
+            },
+            '/api/posts/:id/video': {
+                methods: ['GET'],
+                parameters: {},
+                description: 'Fetch the latest finished generated video of a post'
+            },
+            '/api/videos': {
+                methods: ['POST'],
+                parameters: {
+                    postId: 'number (required, body): post to generate a video for',
+                    'options.presets': 'array (optional, body): formats to render, from vertical, landscape, square, portrait and pinterest',
+                    'options.slideDuration': 'number (optional, body): seconds each image is shown, 1-10',
+                    'options.motion': 'string (optional, body): none or kenburns',
+                    'options.titleCard': 'boolean (optional, body): open with a card showing the recipe name',
+                    'options.closingCard': 'boolean (optional, body): end with a card showing the site handle',
+                    'options.captions': 'boolean (optional, body): caption slides from image captions or recipe steps',
+                    'options.music': 'string (optional, body): none, random or a track ID from /api/music',
+                    'options.musicMood': 'string (optional, body): mood tag to pick a random track from, only with music random',
+                    'options.transition': 'string (optional, body): none, crossfade, slide, wipe or zoom',
+                    'options.transitionDuration': 'number (optional, body): transition length in seconds'
+                },
+                description: 'Queue a video generation job for a post'
+            },
+            '/api/videos/:jobId': {
+                methods: ['GET', 'DELETE'],
+                parameters: {},
+                description: 'Fetch the progress and result of a video job, or cancel it'
+            },
+            '/api/videos/:jobId/retry': {
+                methods: ['POST'],
+                parameters: {},
+                description: 'Retry a failed or cancelled video job'
+            },
+            '/api/music': {
+                methods: ['GET'],
+                parameters: {},
+                description: 'List the background music tracks and mood tags available for videos'
+            },
+            '/api/storage': {
+                methods: ['GET'],
+                parameters: {
+                    prefix: 'string (optional): only list keys starting with this'
+                },
+                description: 'List the media stored by the configured storage backend'
+            },
+            '/api/storage/:key': {
+                methods: ['DELETE'],
+                parameters: {},
+                description: 'Delete a stored object by its key and clear it from the videos that used it'
+            },
+            '/api/webhooks/wordpress': {
+                methods: ['POST'],
+                parameters: {
+                    event: 'post.published, post.updated or post.deleted',
+                    post_id: 'ID of the affected post'
+                },
+                description: 'WordPress webhook signed with X-Webhook-Signature and X-Webhook-Timestamp instead of an API key'
+            },
             '/api/categories': {
                 methods: ['GET'],
                 parameters: {},
@@ -1,81 +1,61 @@
 const cron = require('node-cron');
-const axios = require('axios');
 const { generateVideoFromImages } = require('./videoProcessor');
-const { put } = require('@vercel/blob');
+const { syncPosts, getSyncedPosts } = require('./contentSync');
+const { extractRecipeData } = require('./recipeParser');
+const { sweepWorkspaces } = require('./workspace');
+const { parseContent, extractContentImages } = require('./postContent');
+const { deleteObjects } = require('./storage');
+const { getVideoRecord, getStoredKeys, needsVideo, markVideoProcessing, markVideoCompleted, markVideoFailed, markVideoCancelled } = require('./videoStore');
 
-const WORDPRESS_API_URL = 'https://tiffycooks.com/wp-json/wp/v2';
 let isProcessing = false;
 
-// Keep track of processed posts
-const processedPosts = new Set();
-
-async function fetchAllPosts(page = 1, allPosts = []) {
-    try {
-        const response = await axios.get(`${WORDPRESS_API_URL}/posts`, {
-            params: {
-                _embed: true,
-                per_page: 100,
-                page,
-                orderby: 'date',
-                order: 'desc'
-            }
-        });
-
-        const posts = response.data;
-        allPosts.push(...posts);
-
-        // Check if there are more pages
-        const totalPages = parseInt(response.headers['x-wp-totalpages']);
-        if (page < totalPages) {
-            return fetchAllPosts(page + 1, allPosts);
-        }
-
-        return allPosts;
-    } catch (error) {
-        if (error.response?.status === 400) {
-            // No more pages
-            return allPosts;
-        }
-        throw error;
-    }
-}
-
 async function extractImagesFromPost(post) {
-    const tempDiv = new (require('jsdom').JSDOM)(`<!DOCTYPE html><div>${post.content.rendered}</div>`).window.document.querySelector('div');
-    
-    return Array.from(tempDiv.querySelectorAll('img')).map(img => ({
-        url: img.src,
-        alt: img.alt || '',
-        title: img.title || '',
-        width: img.width || null,
-        height: img.height || null,
-        caption: img.getAttribute('data-caption') || ''
-    }));
+    return extractContentImages(parseContent(post.content.rendered));
 }
 
-async function generateAndStoreVideo(post) {
+// Generate a video for a post and record the outcome in the video store.
+// Returns the generation result, or null if the post was skipped.
+async function generateAndStoreVideo(post, { force = false, onProgress, signal, options } = {}) {
     try {
-        // Check if we've already processed this post
-        if (processedPosts.has(post.id)) {
-            console.log(`Post ${post.id} already processed, skipping...`);
-            return;
-        }
-
-        console.log(`Processing video for post: ${post.title.rendered}`);
         const images = await extractImagesFromPost(post);
         
         if (images.length === 0) {
-            console.log('No images found in post, skipping video generation');
-            return;
+            console.log(`No images found in post ${post.id}, skipping video generation`);
+            return null;
+        }
+
+        // Recipe steps caption the slides that show them
+        const instructions = extractRecipeData(post.content.rendered)?.instructions || [];
+
+        // Only regenerate when what the video shows has changed
+        if (!force && !needsVideo(post, images, instructions)) {
+            console.log(`Post ${post.id} already has an up-to-date video, skipping...`);
+            return null;
         }
 
-        const videoResult = await generateVideoFromImages(images, post.title.rendered);
-        if (videoResult) {
+        console.log(`Processing video for post: ${post.title.rendered}`);
+        markVideoProcessing(post, images, instructions);
+
+        const videoResult = await generateVideoFromImages(images, post.title.rendered, { onProgress, signal, options, instructions });
+        if (videoResult.status === 'completed' && videoResult.url) {
             console.log(`Successfully generated video for post: ${post.title.rendered}`);
-            processedPosts.add(post.id);
+            const previousKeys = getStoredKeys(getVideoRecord(post.id));
+            const record = markVideoCompleted(post.id, videoResult);
+
+            // The new video replaces the previous one, whose files nothing
+            // points at any more
+            const currentKeys = getStoredKeys(record);
+            await deleteObjects(previousKeys.filter(key => !currentKeys.includes(key)));
+        } else if (videoResult.status === 'cancelled') {
+            markVideoCancelled(post.id);
+        } else {
+            markVideoFailed(post.id, videoResult.error || 'Video upload failed');
         }
+        return videoResult;
     } catch (error) {
         console.error(`Error generating video for post ${post.id}:`, error);
+        markVideoFailed(post.id, error.message);
+        return { status: 'error', error: error.message };
     }
 }
 
@@ -89,12 +69,25 @@ async function processPostsForVideos() {
         isProcessing = true;
         console.log('Starting video generation for posts...');
         
-        const posts = await fetchAllPosts();
+        await syncPosts();
+        const posts = getSyncedPosts();
         console.log(`Found ${posts.length} posts to process`);
 
-        // Process posts one at a time to avoid overwhelming the system
+        // videoJobs runs jobs through generateAndStoreVideo, so it's required
+        // here rather than at the top to avoid a circular import
+        const { enqueueVideoJob, waitForVideoJob } = require('./videoJobs');
+
+        // Queue posts one at a time, so the renders share the job queue's
+        // concurrency limit with API requests and can be tracked and
+        // cancelled through /api/videos. Synced posts keep their images, so
+        // posts without any or whose video is up to date aren't queued.
         for (const post of posts) {
-            await generateAndStoreVideo(post);
+            if (post.images.length === 0) continue;
+            const instructions = extractRecipeData(post.recipeHtml)?.instructions || [];
+            if (!needsVideo(post, post.images, instructions)) continue;
+
+            const { job } = enqueueVideoJob(post.id, { force: false });
+            await waitForVideoJob(job.id);
             // Add a delay between posts to prevent rate limiting
             await new Promise(resolve => setTimeout(resolve, 5000));
         }
@@ -118,19 +111,23 @@ cron.schedule('0 */4 * * *', () => {
 cron.schedule('0 0 * * *', async () => {
     console.log('Running daily content sync...');
     try {
-        // Clear the processed posts set to allow re-processing of updated content
-        processedPosts.clear();
-        
-        // The actual sync happens through the API endpoints
-        // This will trigger a fresh fetch of content when the next request comes in
-        console.log('Content sync completed');
+        // Only fetches posts modified since the last sync; deleted posts are
+        // found by the periodic ID reconcile
+        const report = await syncPosts();
+        console.log(`Content sync completed: ${report.added} added, ${report.changed} changed, ${report.removed} removed`);
     } catch (error) {
         console.error('Error during content sync:', error);
     }
 });
 
+// Remove workspaces left behind by crashed renders - run every hour
+cron.schedule('30 * * * *', () => {
+    sweepWorkspaces().catch(error => console.error('Error sweeping video workspaces:', error));
+});
+
 // Export for use in index.js
 module.exports = {
-    processPostsForVideos,
-    processedPosts
+    extractImagesFromPost,
+    generateAndStoreVideo,
+    processPostsForVideos
 }; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+// Per-resource cache lifetimes in milliseconds. Within `ttl` an entry is
+// served as-is; for a further `staleWhileRevalidate` it is still served
+// while a fresh copy is fetched in the background.
+const CACHE_TTLS = {
+    posts: {
+        ttl: parseInt(process.env.CACHE_TTL_POSTS_MS) || 5 * 60 * 1000,
+        staleWhileRevalidate: 60 * 60 * 1000
+    },
+    categories: {
+        ttl: parseInt(process.env.CACHE_TTL_CATEGORIES_MS) || 60 * 60 * 1000,
+        staleWhileRevalidate: 24 * 60 * 60 * 1000
+    },
+    pages: {
+        ttl: parseInt(process.env.CACHE_TTL_PAGES_MS) || 60 * 60 * 1000,
+        staleWhileRevalidate: 24 * 60 * 60 * 1000
+    },
+    comments: {
+        ttl: parseInt(process.env.CACHE_TTL_COMMENTS_MS) || 2 * 60 * 1000,
+        staleWhileRevalidate: 10 * 60 * 1000
+    },
+    // Enriched posts are keyed on their modified timestamp, so they only
+    // need to expire to bound memory
+    enrichedPosts: {
+        ttl: 24 * 60 * 60 * 1000,
+        staleWhileRevalidate: 0
+    },
+    default: {
+        ttl: 5 * 60 * 1000,
+        staleWhileRevalidate: 0
+    }
+};
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+
+const store = new Map();
+
+// Build a key that doesn't depend on parameter order
+function buildCacheKey(resource, params = {}) {
+    const normalized = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => `${key}=${String(params[key]).toLowerCase()}`)
+        .join('&');
+
+    return `${resource}:${normalized}`;
+}
+
+function getTtl(resource) {
+    return CACHE_TTLS[resource] || CACHE_TTLS.default;
+}
+
+function storeEntry(key, value) {
+    // Map keeps insertion order, so re-inserting moves the key to the end
+    // and the first key is always the least recently stored
+    store.delete(key);
+    store.set(key, { value, storedAt: Date.now() });
+
+    if (store.size > MAX_ENTRIES) {
+        store.delete(store.keys().next().value);
+    }
+}
+
+// Share one in-flight fetch per key
+const pending = new Map();
+
+function refresh(key, fetcher) {
+    if (pending.has(key)) {
+        return pending.get(key);
+    }
+
+    const promise = fetcher()
+        .then(value => {
+            storeEntry(key, value);
+            return value;
+        })
+        .finally(() => {
+            pending.delete(key);
+        });
+
+    pending.set(key, promise);
+    return promise;
+}
+
+// Return the cached value for a resource and params, fetching it when
+// missing or expired and revalidating in the background when stale
+async function cached(resource, params, fetcher) {
+    const key = buildCacheKey(resource, params);
+    const entry = store.get(key);
+    const { ttl, staleWhileRevalidate } = getTtl(resource);
+
+    if (entry) {
+        const age = Date.now() - entry.storedAt;
+
+        if (age < ttl) {
+            return entry.value;
+        }
+
+        if (age < ttl + staleWhileRevalidate) {
+            refresh(key, fetcher).catch(error => {
+                console.error(`Error revalidating cache entry ${key}:`, error.message);
+            });
+            return entry.value;
+        }
+    }
+
+    return refresh(key, fetcher);
+}
+
+// Drop every entry for a resource, or only those whose key matches `predicate`
+function invalidateCache(resource, predicate = () => true) {
+    let removed = 0;
+
+    for (const key of Array.from(store.keys())) {
+        if (key.startsWith(`${resource}:`) && predicate(key)) {
+            store.delete(key);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+function clearCache() {
+    store.clear();
+}
+
+module.exports = {
+    CACHE_TTLS,
+    buildCacheKey,
+    getTtl,
+    cached,
+    invalidateCache,
+    clearCache
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const wordpress = require('./wordpressClient');
+const { parsePostContent } = require('./postContent');
+
+// JSON file holding the synced posts and the sync high-water mark
+const SYNC_PATH = process.env.CONTENT_SYNC_PATH || path.join(process.cwd(), 'data', 'content-sync.json');
+
+// How often post IDs are reconciled against WordPress to find deletions.
+// Incremental syncs only see posts that changed, never ones that went away.
+const RECONCILE_INTERVAL_MS = parseInt(process.env.CONTENT_RECONCILE_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+const PER_PAGE = 100;
+
+let state = null;
+let syncPromise = null;
+let writeQueue = Promise.resolve();
+// Set when the loaded file held full posts, so the slimmed copy gets written
+let legacyPostsLoaded = false;
+
+// Keep only what the recipe index and video generation read from a post,
+// rather than the whole `_embed` response with its rendered content
+function slimPost(post) {
+    const featuredMedia = post._embedded?.['wp:featuredmedia']?.[0];
+    const { images, recipeHtml } = parsePostContent(post.content?.rendered);
+
+    return {
+        id: post.id,
+        slug: post.slug,
+        link: post.link,
+        date: post.date,
+        modified: post.modified,
+        title: { rendered: post.title?.rendered },
+        featuredMedia: featuredMedia?.source_url ? {
+            url: featuredMedia.source_url,
+            alt: featuredMedia.alt_text,
+            sizes: featuredMedia.media_details?.sizes
+        } : null,
+        images,
+        recipeHtml
+    };
+}
+
+function loadState() {
+    if (state) return state;
+
+    try {
+        state = JSON.parse(fs.readFileSync(SYNC_PATH, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading content sync state, starting empty:', error.message);
+        }
+        state = {};
+    }
+
+    state = {
+        highWater: null,
+        lastReconciledAt: null,
+        lastRun: null,
+        posts: {},
+        ...state
+    };
+
+    // Files written before posts were slimmed hold the full WordPress posts
+    for (const [id, post] of Object.entries(state.posts)) {
+        if (post.content) {
+            state.posts[id] = slimPost(post);
+            legacyPostsLoaded = true;
+        }
+    }
+    return state;
+}
+
+// Same temp-file-and-rename write as the video store
+function persist() {
+    const snapshot = JSON.stringify({ version: 1, ...state });
+
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(SYNC_PATH), { recursive: true });
+            const tempPath = `${SYNC_PATH}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, SYNC_PATH);
+        })
+        .catch(error => {
+            console.error('Error writing content sync state:', error.message);
+        });
+
+    return writeQueue;
+}
+
+// Fetch every page of a WordPress collection
+async function fetchAllPages(endpoint, params) {
+    const items = [];
+
+    for (let page = 1; ; page++) {
+        let response;
+        try {
+            response = await wordpress.get(endpoint, { ...params, per_page: PER_PAGE, page });
+        } catch (error) {
+            if (error.upstreamStatus === 400 && page > 1) {
+                // No more pages
+                break;
+            }
+            throw error;
+        }
+
+        items.push(...response.data);
+
+        const totalPages = parseInt(response.headers['x-wp-totalpages']);
+        if (!(page < totalPages)) break;
+    }
+
+    return items;
+}
+
+// WordPress reports `modified` as a local time without an offset, so
+// timestamps compare as strings. Step back a second because
+// `modified_after` is exclusive and edits can share the high-water second.
+function modifiedAfterParam(highWater) {
+    const time = new Date(`${highWater}Z`).getTime() - 1000;
+    return new Date(time).toISOString().slice(0, 19);
+}
+
+function latestModified(posts) {
+    return posts.reduce((latest, post) =>
+        !latest || post.modified > latest ? post.modified : latest, null);
+}
+
+async function runSync({ reconcile = false } = {}) {
+    const current = loadState();
+    const startedAt = new Date();
+    const full = !current.highWater;
+    const report = {
+        mode: full ? 'full' : 'incremental',
+        added: 0,
+        changed: 0,
+        removed: 0,
+        reconciled: false,
+        total: 0,
+        highWater: null,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null
+    };
+
+    const params = { _embed: true, orderby: 'modified', order: 'asc' };
+    if (!full) {
+        params.modified_after = modifiedAfterParam(current.highWater);
+    }
+    const posts = await fetchAllPages('/posts', params);
+
+    for (const post of posts) {
+        const existing = current.posts[post.id];
+        if (!existing) {
+            report.added++;
+        } else if (existing.modified !== post.modified) {
+            report.changed++;
+        }
+        current.posts[post.id] = slimPost(post);
+    }
+
+    // A full sync has seen every post, so anything else is gone
+    const reconcileDue = !current.lastReconciledAt ||
+        startedAt - new Date(current.lastReconciledAt) >= RECONCILE_INTERVAL_MS;
+    let liveIds = null;
+    if (full) {
+        liveIds = new Set(posts.map(post => String(post.id)));
+    } else if (reconcile || reconcileDue) {
+        const ids = await fetchAllPages('/posts', { _fields: 'id' });
+        liveIds = new Set(ids.map(item => String(item.id)));
+    }
+
+    if (liveIds) {
+        for (const id of Object.keys(current.posts)) {
+            if (!liveIds.has(id)) {
+                delete current.posts[id];
+                report.removed++;
+            }
+        }
+        current.lastReconciledAt = startedAt.toISOString();
+        report.reconciled = true;
+    }
+
+    const syncedPosts = Object.values(current.posts);
+    current.highWater = latestModified(syncedPosts) || current.highWater;
+    report.total = syncedPosts.length;
+    report.highWater = current.highWater;
+    report.finishedAt = new Date().toISOString();
+    current.lastRun = report;
+
+    // Runs that found nothing new leave the file as it is; only the report,
+    // which is also kept in memory, would differ
+    if (report.added || report.changed || report.removed || report.reconciled || legacyPostsLoaded) {
+        legacyPostsLoaded = false;
+        persist();
+    }
+
+    console.log(`Content sync (${report.mode}): ${report.added} added, ${report.changed} changed, ${report.removed} removed, ${report.total} total`);
+    return report;
+}
+
+// Bring the local copy of the posts up to date with WordPress. The first run
+// fetches everything; later runs only fetch posts modified since the last
+// one. Pass `reconcile` to check for deleted posts now rather than waiting
+// for the reconcile interval. Resolves with the run's report.
+function syncPosts(options = {}) {
+    // Share a single run between concurrent callers
+    if (!syncPromise) {
+        syncPromise = runSync(options).finally(() => {
+            syncPromise = null;
+        });
+    }
+    return syncPromise;
+}
+
+// Synced posts, newest first, as { id, slug, link, date, modified, title,
+// featuredMedia, images, recipeHtml }
+function getSyncedPosts() {
+    return Object.values(loadState().posts)
+        .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+// Drop a post right away, e.g. when WordPress reports it deleted
+function removeSyncedPost(postId) {
+    const current = loadState();
+    if (!current.posts[postId]) return false;
+
+    delete current.posts[postId];
+    persist();
+    return true;
+}
+
+function getLastSyncReport() {
+    return loadState().lastRun;
+}
+
+module.exports = {
+    syncPosts,
+    getSyncedPosts,
+    removeSyncedPost,
+    getLastSyncReport
+};
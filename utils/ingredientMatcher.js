@@ -0,0 +1,171 @@
+// Different names for the same ingredient, mapped to one canonical name.
+// Keys are matched after normalization, so they are singular and lowercase.
+const SYNONYMS = {
+    'scallion': 'green onion',
+    'spring onion': 'green onion',
+    'coriander leaf': 'cilantro',
+    'pak choi': 'bok choy',
+    'bok choi': 'bok choy',
+    'prawn': 'shrimp',
+    'aubergine': 'eggplant',
+    'capsicum': 'bell pepper',
+    'corn starch': 'cornstarch',
+    'cornflour': 'cornstarch',
+    'courgette': 'zucchini',
+    'chilli': 'chili',
+    'chile': 'chili',
+    'soya sauce': 'soy sauce',
+    'shoyu': 'soy sauce',
+    'chinese cooking wine': 'shaoxing wine',
+    'shaoxing cooking wine': 'shaoxing wine',
+    'rice wine vinegar': 'rice vinegar',
+    'minced pork': 'ground pork',
+    'pork mince': 'ground pork',
+    'minced beef': 'ground beef',
+    'beef mince': 'ground beef',
+    'ginger root': 'ginger',
+    'garlic clove': 'garlic',
+    'egg yolk': 'egg',
+    'egg white': 'egg',
+    'granulated sugar': 'sugar',
+    'white sugar': 'sugar',
+    'caster sugar': 'sugar',
+    'all purpose flour': 'flour',
+    'plain flour': 'flour'
+};
+
+// Staples most kitchens have, optionally left out of matching
+const PANTRY_STAPLES = [
+    'salt', 'kosher salt', 'sea salt', 'water', 'ice', 'oil', 'vegetable oil',
+    'neutral oil', 'cooking oil', 'canola oil', 'black pepper', 'white pepper'
+];
+
+// Preparation words that don't change what the ingredient is
+const DESCRIPTORS = [
+    'fresh', 'freshly', 'chopped', 'minced', 'diced', 'sliced', 'finely', 'roughly',
+    'thinly', 'coarsely', 'large', 'small', 'medium', 'boneless', 'skinless', 'peeled',
+    'grated', 'crushed', 'optional', 'divided', 'about', 'of', 'and', 'or', 'for', 'serving',
+    'garnish', 'to', 'taste'
+];
+
+// Words that name a variety of an ingredient rather than a different one,
+// so "soy sauce" covers "light soy sauce" while "oil" doesn't cover
+// "sesame oil". Matched after normalization.
+const VARIETY_WORDS = [
+    'light', 'dark', 'low', 'sodium', 'reduced', 'unsalted', 'salted', 'plain',
+    'regular', 'organic', 'extra', 'virgin', 'ripe', 'raw', 'cooked', 'dried',
+    'toasted', 'roasted', 'leftover', 'day', 'old'
+];
+
+// Cuts that follow the name of the animal they come from, so "chicken"
+// covers "chicken thigh" but not "chicken stock"
+const CUTS = [
+    'thigh', 'breast', 'wing', 'drumstick', 'leg', 'belly', 'shoulder', 'loin',
+    'tenderloin', 'rib', 'fillet', 'steak', 'chop', 'shank'
+];
+
+// Longest aliases first so "rice wine vinegar" wins over shorter matches
+const SYNONYM_ALIASES = Object.keys(SYNONYMS).sort((a, b) => b.length - a.length);
+
+// Plurals the rules in singularize get wrong
+const IRREGULAR_PLURALS = {
+    'chilies': 'chili',
+    'chillies': 'chilli',
+    'pies': 'pie',
+    'cookies': 'cookie',
+    'brownies': 'brownie',
+    'molasses': 'molasses'
+};
+
+function singularize(word) {
+    if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+    if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+    if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+    // leaves, halves, loaves; cloves, olives and chives keep their "ve"
+    if (/(ea|al|oa)ves$/.test(word)) return word.replace(/ves$/, 'f');
+    if (/oes$/.test(word)) return word.replace(/oes$/, 'o');
+    if (/(ch|sh|x)es$/.test(word)) return word.replace(/es$/, '');
+    if (/s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Reduce an ingredient name to a canonical form for comparison,
+// e.g. "Scallions, thinly sliced" -> "green onion"
+function normalizeIngredientName(name) {
+    if (!name) return '';
+
+    let text = name
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .split(',')[0]
+        .replace(/-/g, ' ')
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !DESCRIPTORS.includes(word))
+        .map(singularize)
+        .join(' ');
+
+    for (const alias of SYNONYM_ALIASES) {
+        text = text.replace(new RegExp(`\\b${alias}\\b`, 'g'), SYNONYMS[alias]);
+    }
+
+    return text.trim();
+}
+
+function isPantryStaple(normalizedName) {
+    return PANTRY_STAPLES.includes(normalizedName);
+}
+
+// An ingredient is covered by something the user has when it is the same
+// thing, give or take variety words before it and cuts after it
+function isCovered(normalizedName, haveList) {
+    const words = normalizedName.split(' ');
+    return haveList.some(have => {
+        if (have === normalizedName) return true;
+
+        const haveWords = have.split(' ');
+        for (let start = 0; start + haveWords.length <= words.length; start++) {
+            if (haveWords.some((word, i) => words[start + i] !== word)) continue;
+            if (words.slice(0, start).every(word => VARIETY_WORDS.includes(word)) &&
+                words.slice(start + haveWords.length).every(word => CUTS.includes(word))) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+// Compare a recipe's ingredients with what the user has
+function matchRecipeIngredients(recipe, have, { ignoreStaples = true } = {}) {
+    const haveList = have.map(normalizeIngredientName).filter(Boolean);
+    const matched = [];
+    const missing = [];
+
+    recipe.ingredients.forEach(ingredient => {
+        const normalizedName = normalizeIngredientName(ingredient.name);
+        if (!normalizedName) return;
+        if (ignoreStaples && isPantryStaple(normalizedName)) return;
+
+        if (isCovered(normalizedName, haveList)) {
+            matched.push(ingredient.name);
+        } else {
+            missing.push(ingredient.name);
+        }
+    });
+
+    const totalCount = matched.length + missing.length;
+    return {
+        matched,
+        missing,
+        matchedCount: matched.length,
+        totalCount,
+        matchRatio: totalCount ? matched.length / totalCount : 0
+    };
+}
+
+module.exports = {
+    PANTRY_STAPLES,
+    normalizeIngredientName,
+    isPantryStaple,
+    matchRecipeIngredients
+};
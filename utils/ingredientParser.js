@@ -0,0 +1,157 @@
+// Canonical units. toBase converts one unit into the base unit of its
+// dimension: millilitres for volume, grams for mass. Count units have no base.
+const UNITS = {
+    // Volume
+    teaspoon: { dimension: 'volume', system: 'us', toBase: 4.92892, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 'tea spoon'] },
+    tablespoon: { dimension: 'volume', system: 'us', toBase: 14.7868, aliases: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tblsp', 'tablespoon', 'tablespoons', 'table spoon'] },
+    fluid_ounce: { dimension: 'volume', system: 'us', toBase: 29.5735, aliases: ['fl oz', 'fl. oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+    cup: { dimension: 'volume', system: 'us', toBase: 236.588, aliases: ['c', 'cup', 'cups'] },
+    pint: { dimension: 'volume', system: 'us', toBase: 473.176, aliases: ['pt', 'pts', 'pint', 'pints'] },
+    quart: { dimension: 'volume', system: 'us', toBase: 946.353, aliases: ['qt', 'qts', 'quart', 'quarts'] },
+    gallon: { dimension: 'volume', system: 'us', toBase: 3785.41, aliases: ['gal', 'gals', 'gallon', 'gallons'] },
+    milliliter: { dimension: 'volume', system: 'metric', toBase: 1, aliases: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    liter: { dimension: 'volume', system: 'metric', toBase: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    pinch: { dimension: 'volume', system: 'us', toBase: 0.31, aliases: ['pinch', 'pinches'] },
+    dash: { dimension: 'volume', system: 'us', toBase: 0.62, aliases: ['dash', 'dashes'] },
+
+    // Mass
+    milligram: { dimension: 'mass', system: 'metric', toBase: 0.001, aliases: ['mg', 'milligram', 'milligrams'] },
+    gram: { dimension: 'mass', system: 'metric', toBase: 1, aliases: ['g', 'gr', 'grams', 'gram', 'gm', 'gms'] },
+    kilogram: { dimension: 'mass', system: 'metric', toBase: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+    ounce: { dimension: 'mass', system: 'us', toBase: 28.3495, aliases: ['oz', 'ounce', 'ounces'] },
+    pound: { dimension: 'mass', system: 'us', toBase: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+
+    // Count
+    piece: { dimension: 'count', aliases: ['pc', 'pcs', 'piece', 'pieces'] },
+    clove: { dimension: 'count', aliases: ['clove', 'cloves'] },
+    slice: { dimension: 'count', aliases: ['slice', 'slices'] },
+    stalk: { dimension: 'count', aliases: ['stalk', 'stalks'] },
+    sprig: { dimension: 'count', aliases: ['sprig', 'sprigs'] },
+    bunch: { dimension: 'count', aliases: ['bunch', 'bunches'] },
+    head: { dimension: 'count', aliases: ['head', 'heads'] },
+    leaf: { dimension: 'count', aliases: ['leaf', 'leaves'] },
+    sheet: { dimension: 'count', aliases: ['sheet', 'sheets'] },
+    can: { dimension: 'count', aliases: ['can', 'cans', 'tin', 'tins'] },
+    package: { dimension: 'count', aliases: ['pkg', 'pkgs', 'package', 'packages', 'pack', 'packs', 'packet', 'packets'] },
+    each: { dimension: 'count', aliases: ['each', 'ea', 'whole', 'large', 'medium', 'small'] }
+};
+
+// Single-letter abbreviations where case matters
+const CASE_SENSITIVE_ALIASES = {
+    T: 'tablespoon',
+    t: 'teaspoon'
+};
+
+// Build the alias lookup once
+const UNIT_ALIASES = Object.entries(UNITS).reduce((aliases, [id, unit]) => {
+    unit.aliases.forEach(alias => {
+        aliases[alias] = id;
+    });
+    return aliases;
+}, {});
+
+const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+    '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6,
+    '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Parse a single (non-range) amount such as "1", "1.5", "1/2", "1 1/2", "1½" or "½"
+function parseSingleAmount(text) {
+    let value = text.trim();
+    if (!value) return null;
+
+    // Split unicode fractions off so "1½" becomes "1 ½"
+    value = value.replace(/([\d])([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, '$1 $2');
+    // Normalize the unicode fraction slash and European decimal commas
+    value = value.replace(/⁄/g, '/').replace(/(\d),(\d)/g, '$1.$2');
+
+    const parts = value.split(/\s+/);
+    if (parts.length > 2) return null;
+
+    let total = 0;
+    for (const part of parts) {
+        if (UNICODE_FRACTIONS[part] !== undefined) {
+            total += UNICODE_FRACTIONS[part];
+        } else if (/^\d+\/\d+$/.test(part)) {
+            const [numerator, denominator] = part.split('/').map(Number);
+            if (denominator === 0) return null;
+            total += numerator / denominator;
+        } else if (/^\d*\.?\d+$/.test(part)) {
+            total += parseFloat(part);
+        } else {
+            return null;
+        }
+    }
+
+    // A mixed number must be a whole number followed by a fraction
+    if (parts.length === 2 && !/^\d+$/.test(parts[0])) return null;
+
+    return total;
+}
+
+// Parse an amount string into { value, min, max }. Ranges keep their bounds
+// and use the midpoint as value. Returns null if the amount can't be parsed.
+function parseQuantity(amount) {
+    if (amount === undefined || amount === null) return null;
+
+    const text = String(amount).trim().toLowerCase()
+        // "1-1/2" is the ASCII way to write 1½, not a range from 1 to ½
+        .replace(/(^|[^\d/.])(\d+)-(\d+\/\d+)/g, '$1$2 $3');
+    if (!text) return null;
+
+    const bounds = text.split(/\s*(?:-|–|—|\bto\b|\bor\b)\s*/).filter(Boolean);
+    if (bounds.length === 0 || bounds.length > 2) return null;
+
+    const values = bounds.map(parseSingleAmount);
+    if (values.some(value => value === null)) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    return {
+        value: (min + max) / 2,
+        min,
+        max,
+        isRange: min !== max
+    };
+}
+
+// Map a unit string to { id, dimension }. Returns null for unknown units.
+function normalizeUnit(unit) {
+    if (!unit) return null;
+
+    const text = String(unit).trim().replace(/[().]/g, '').trim();
+    if (!text) return null;
+
+    const id = CASE_SENSITIVE_ALIASES[text] ||
+        UNIT_ALIASES[text.toLowerCase()] ||
+        UNIT_ALIASES[text.toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '')];
+
+    return id ? { id, dimension: UNITS[id].dimension } : null;
+}
+
+// Add parsed quantity and unit data to an ingredient extracted from WPRM markup
+function parseIngredient(ingredient) {
+    const quantity = parseQuantity(ingredient.amount);
+    let normalizedUnit = normalizeUnit(ingredient.unit);
+
+    // Ingredients like "2 eggs" have a quantity but no unit
+    if (!normalizedUnit && !ingredient.unit && quantity) {
+        normalizedUnit = { id: 'each', dimension: 'count' };
+    }
+
+    return {
+        ...ingredient,
+        quantity,
+        normalizedUnit,
+        unparseable: Boolean(ingredient.amount) && !quantity
+    };
+}
+
+module.exports = {
+    UNITS,
+    parseQuantity,
+    normalizeUnit,
+    parseIngredient
+};
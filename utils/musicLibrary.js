@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Folder of licensed tracks. tracks.json in it lists each track:
+// { "id", "file", "title", "artist", "license", "moods": [...] }
+const LIBRARY_DIR = process.env.MUSIC_LIBRARY_DIR || path.join(__dirname, '..', 'assets', 'music');
+
+let tracks = null;
+
+function loadTracks() {
+    if (tracks) return tracks;
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(LIBRARY_DIR, 'tracks.json'), 'utf8'));
+        tracks = (Array.isArray(manifest) ? manifest : manifest.tracks || [])
+            .filter(track => track.id && track.file)
+            .map(track => ({
+                id: String(track.id),
+                file: track.file,
+                title: track.title || track.id,
+                artist: track.artist || null,
+                license: track.license || null,
+                moods: (track.moods || []).map(mood => String(mood).toLowerCase())
+            }));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading music library, no tracks available:', error.message);
+        }
+        tracks = [];
+    }
+
+    return tracks;
+}
+
+// Tracks as shown to API clients, without their file paths
+function listTracks() {
+    return loadTracks().map(({ file, ...track }) => track);
+}
+
+function getTrack(id) {
+    return loadTracks().find(track => track.id === String(id)) || null;
+}
+
+function listMoods() {
+    return Array.from(new Set(loadTracks().flatMap(track => track.moods))).sort();
+}
+
+function getTrackPath(track) {
+    return path.join(LIBRARY_DIR, track.file);
+}
+
+// Pick the track for a video. `music` is 'none', 'random' or a track ID;
+// a random pick can be narrowed to tracks tagged with `mood`.
+function selectTrack({ music, mood } = {}) {
+    if (!music || music === 'none') return null;
+
+    if (music !== 'random') {
+        return getTrack(music);
+    }
+
+    const candidates = loadTracks().filter(track => !mood || track.moods.includes(mood.toLowerCase()));
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+module.exports = {
+    listTracks,
+    getTrack,
+    listMoods,
+    getTrackPath,
+    selectTrack
+};
@@ -0,0 +1,34 @@
+const { JSDOM } = require('jsdom');
+
+// Helper function to parse rendered post HTML into a container element
+function parseContent(html) {
+    return new JSDOM(`<!DOCTYPE html><div>${html || ''}</div>`).window.document.querySelector('div');
+}
+
+// Images in a post's content, in the order they appear
+function extractContentImages(container) {
+    return Array.from(container.querySelectorAll('img')).map(img => ({
+        url: img.src,
+        alt: img.alt || '',
+        title: img.title || '',
+        width: img.width || null,
+        height: img.height || null,
+        caption: img.getAttribute('data-caption') || ''
+    }));
+}
+
+// Pull out what the recipe index and video generation need from a post's
+// rendered HTML: its images and the WP Recipe Maker block, if any
+function parsePostContent(html) {
+    const container = parseContent(html);
+    return {
+        images: extractContentImages(container),
+        recipeHtml: container.querySelector('.wprm-recipe-container')?.outerHTML || null
+    };
+}
+
+module.exports = {
+    parseContent,
+    extractContentImages,
+    parsePostContent
+};
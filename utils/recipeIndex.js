@@ -0,0 +1,183 @@
+const { syncPosts, getSyncedPosts } = require('./contentSync');
+const { extractRecipeData } = require('./recipeParser');
+
+// How long the recipe index is reused before the catalog is synced again
+const INDEX_TTL_MS = parseInt(process.env.RECIPE_INDEX_TTL_MS) || 60 * 60 * 1000;
+
+// Facet dimensions and how to read their values from a recipe
+const FACETS = {
+    cuisine: recipe => splitTerms(recipe.meta.cuisine),
+    course: recipe => splitTerms(recipe.meta.course),
+    diet: recipe => splitTerms(recipe.meta.diet),
+    keyword: recipe => (recipe.meta.keywords || []).filter(Boolean)
+};
+
+// Total time buckets, in minutes, for the max_total_time facet
+const TIME_BUCKETS = [15, 30, 45, 60, 90, 120];
+
+let recipeIndex = null;
+let indexedAt = 0;
+let indexPromise = null;
+
+// Parsed entries by post ID, reused while the post's modified time is unchanged
+const entryCache = new Map();
+
+// WPRM renders multiple terms as a comma-separated list
+function splitTerms(value) {
+    return value ? value.split(',').map(term => term.trim()).filter(Boolean) : [];
+}
+
+function buildEntry(post) {
+    const recipe = extractRecipeData(post.recipeHtml);
+    if (!recipe) return null;
+
+    return {
+        id: post.id,
+        title: post.title?.rendered,
+        slug: post.slug,
+        link: post.link,
+        date: post.date,
+        modified: post.modified,
+        featuredMedia: post.featuredMedia,
+        recipe
+    };
+}
+
+function getEntry(post) {
+    const cachedEntry = entryCache.get(post.id);
+    if (cachedEntry && cachedEntry.modified === post.modified) {
+        return cachedEntry.entry;
+    }
+
+    const entry = buildEntry(post);
+    entryCache.set(post.id, { modified: post.modified, entry });
+    return entry;
+}
+
+async function buildRecipeIndex() {
+    console.log('Building recipe index...');
+    await syncPosts();
+    const posts = getSyncedPosts();
+
+    // Forget entries for posts that are gone
+    const postIds = new Set(posts.map(post => post.id));
+    for (const id of entryCache.keys()) {
+        if (!postIds.has(id)) entryCache.delete(id);
+    }
+
+    const entries = posts.map(getEntry).filter(Boolean);
+    console.log(`Indexed ${entries.length} recipes from ${posts.length} posts`);
+    return entries;
+}
+
+// Get every post that contains a WPRM recipe, rebuilding the index when stale
+async function getRecipeIndex() {
+    if (recipeIndex && Date.now() - indexedAt < INDEX_TTL_MS) {
+        return recipeIndex;
+    }
+
+    // Share a single rebuild between concurrent requests
+    if (!indexPromise) {
+        indexPromise = buildRecipeIndex()
+            .then(entries => {
+                recipeIndex = entries;
+                indexedAt = Date.now();
+                return entries;
+            })
+            .finally(() => {
+                indexPromise = null;
+            });
+    }
+
+    return indexPromise;
+}
+
+// Drop the index so the next request rebuilds it
+function invalidateRecipeIndex() {
+    recipeIndex = null;
+    indexedAt = 0;
+}
+
+function matchesTerms(values, wanted) {
+    const lowerValues = values.map(value => value.toLowerCase());
+    return wanted.some(term => lowerValues.includes(term));
+}
+
+// Check an entry against every filter except the one named in `skip`
+function matchesFilters(entry, filters, skip) {
+    for (const [facet, wanted] of Object.entries(filters.terms)) {
+        if (facet === skip || wanted.length === 0) continue;
+        if (!matchesTerms(FACETS[facet](entry.recipe), wanted)) return false;
+    }
+
+    if (skip !== 'maxTotalTime' && filters.maxTotalTime) {
+        const minutes = entry.recipe.meta.times?.total?.minutes;
+        if (!minutes || minutes > filters.maxTotalTime) return false;
+    }
+
+    return true;
+}
+
+// Count facet values. Each dimension is counted against the entries that
+// match all the other filters, so selecting a cuisine still shows how many
+// recipes the other cuisines would give.
+function countFacets(entries, filters) {
+    const facets = {};
+
+    for (const [facet, readValues] of Object.entries(FACETS)) {
+        const counts = {};
+        entries
+            .filter(entry => matchesFilters(entry, filters, facet))
+            .forEach(entry => {
+                new Set(readValues(entry.recipe)).forEach(value => {
+                    counts[value] = (counts[value] || 0) + 1;
+                });
+            });
+
+        facets[facet] = Object.entries(counts)
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    const timed = entries.filter(entry => matchesFilters(entry, filters, 'maxTotalTime'));
+    facets.maxTotalTime = TIME_BUCKETS.map(minutes => ({
+        value: minutes,
+        count: timed.filter(entry => {
+            const total = entry.recipe.meta.times?.total?.minutes;
+            return total && total <= minutes;
+        }).length
+    }));
+
+    return facets;
+}
+
+// Parse request query params into filters. Term filters accept
+// comma-separated values and match any of them.
+function parseRecipeFilters(query) {
+    const terms = {};
+    Object.keys(FACETS).forEach(facet => {
+        terms[facet] = splitTerms(query[facet]).map(term => term.toLowerCase());
+    });
+
+    return {
+        terms,
+        maxTotalTime: parseInt(query.max_total_time) || null
+    };
+}
+
+// Filter the index and compute facet counts
+function filterRecipes(entries, filters) {
+    return {
+        results: entries.filter(entry => matchesFilters(entry, filters)),
+        facets: countFacets(entries, filters)
+    };
+}
+
+module.exports = {
+    FACETS,
+    splitTerms,
+    getRecipeIndex,
+    invalidateRecipeIndex,
+    parseRecipeFilters,
+    filterRecipes
+};
@@ -0,0 +1,46 @@
+const { parseIngredient } = require('./ingredientParser');
+const { extractRecipeTimes, extractRecipeYield } = require('./recipeTimes');
+
+// Helper function to extract recipe data
+function extractRecipeData(content) {
+    if (!content) return null;
+    
+    // Create a temporary DOM element to parse HTML
+    const tempDiv = new (require('jsdom').JSDOM)(`<!DOCTYPE html><div>${content}</div>`).window.document.querySelector('div');
+    
+    // Find the recipe container
+    const recipeContainer = tempDiv.querySelector('.wprm-recipe-container');
+    if (!recipeContainer) return null;
+    
+    const times = extractRecipeTimes(recipeContainer);
+    
+    return {
+        name: recipeContainer.querySelector('.wprm-recipe-name')?.textContent?.trim(),
+        summary: recipeContainer.querySelector('.wprm-recipe-summary')?.textContent?.trim(),
+        meta: {
+            activeTime: times.cook?.display,
+            totalTime: times.total?.display,
+            times,
+            ...extractRecipeYield(recipeContainer),
+            course: recipeContainer.querySelector('.wprm-recipe-course')?.textContent?.trim(),
+            cuisine: recipeContainer.querySelector('.wprm-recipe-cuisine')?.textContent?.trim(),
+            diet: recipeContainer.querySelector('.wprm-recipe-suitablefordiet')?.textContent?.trim(),
+            keywords: recipeContainer.querySelector('.wprm-recipe-keyword')?.textContent?.trim()?.split(',').map(k => k.trim())
+        },
+        ingredients: Array.from(recipeContainer.querySelectorAll('.wprm-recipe-ingredient')).map(ingredient => parseIngredient({
+            amount: ingredient.querySelector('.wprm-recipe-ingredient-amount')?.textContent?.trim(),
+            unit: ingredient.querySelector('.wprm-recipe-ingredient-unit')?.textContent?.trim(),
+            name: ingredient.querySelector('.wprm-recipe-ingredient-name')?.textContent?.trim(),
+            notes: ingredient.querySelector('.wprm-recipe-ingredient-notes')?.textContent?.trim()
+        })),
+        instructions: Array.from(recipeContainer.querySelectorAll('.wprm-recipe-instruction')).map(instruction => ({
+            id: instruction.id || null,
+            text: instruction.querySelector('.wprm-recipe-instruction-text')?.textContent?.trim(),
+            image: instruction.querySelector('.wprm-recipe-instruction-image img')?.getAttribute('src')
+        }))
+    };
+}
+
+module.exports = {
+    extractRecipeData
+};
@@ -0,0 +1,120 @@
+const { UNITS } = require('./ingredientParser');
+
+// Fractions a cook can actually measure, with their display characters
+const FRIENDLY_FRACTIONS = [
+    { value: 0, display: '' },
+    { value: 1 / 8, display: '⅛' },
+    { value: 1 / 4, display: '¼' },
+    { value: 1 / 3, display: '⅓' },
+    { value: 3 / 8, display: '⅜' },
+    { value: 1 / 2, display: '½' },
+    { value: 5 / 8, display: '⅝' },
+    { value: 2 / 3, display: '⅔' },
+    { value: 3 / 4, display: '¾' },
+    { value: 7 / 8, display: '⅞' },
+    { value: 1, display: '' }
+];
+
+// Round a value to something measurable. Metric units round to whole
+// numbers (or one decimal for small amounts), everything else to the
+// nearest friendly fraction, and to halves once amounts get large.
+function roundAmount(value, unitId) {
+    if (value <= 0) return 0;
+
+    if (UNITS[unitId]?.system === 'metric') {
+        if (value < 10) return Math.round(value * 10) / 10;
+        if (value < 100) return Math.round(value);
+        return Math.round(value / 5) * 5;
+    }
+
+    if (value >= 10) {
+        return Math.round(value * 2) / 2;
+    }
+
+    const whole = Math.floor(value);
+    const fraction = value - whole;
+    const nearest = FRIENDLY_FRACTIONS.reduce((best, candidate) =>
+        Math.abs(candidate.value - fraction) < Math.abs(best.value - fraction) ? candidate : best
+    );
+
+    const rounded = whole + nearest.value;
+    // Never round a real amount away entirely
+    return rounded > 0 ? rounded : FRIENDLY_FRACTIONS[1].value;
+}
+
+// Format a rounded value for display, e.g. 1.5 -> "1 ½"
+function formatAmount(value, unitId) {
+    if (UNITS[unitId]?.system === 'metric' || value >= 10) {
+        const whole = Math.floor(value);
+        if (value - whole === 0.5 && UNITS[unitId]?.system !== 'metric') {
+            return `${whole} ½`;
+        }
+        return String(value);
+    }
+
+    const whole = Math.floor(value);
+    const fraction = FRIENDLY_FRACTIONS.find(candidate => Math.abs(candidate.value - (value - whole)) < 0.001);
+
+    if (!fraction || !fraction.display) {
+        return String(Math.round(value));
+    }
+
+    return whole > 0 ? `${whole} ${fraction.display}` : fraction.display;
+}
+
+// Scale a single parsed ingredient. Ingredients without a parsed
+// quantity (e.g. "to taste") are returned untouched.
+function scaleIngredient(ingredient, factor) {
+    if (!ingredient.quantity) return ingredient;
+
+    const unitId = ingredient.normalizedUnit?.id;
+    const min = roundAmount(ingredient.quantity.min * factor, unitId);
+    const max = roundAmount(ingredient.quantity.max * factor, unitId);
+
+    return {
+        ...ingredient,
+        amount: min === max
+            ? formatAmount(min, unitId)
+            : `${formatAmount(min, unitId)}-${formatAmount(max, unitId)}`,
+        quantity: {
+            value: (min + max) / 2,
+            min,
+            max,
+            isRange: min !== max
+        }
+    };
+}
+
+// Helper function to scale a recipe's servings and yield along with its
+// ingredients, so the meta agrees with the servings the recipe now makes
+function scaleMeta(meta, factor) {
+    if (!meta?.servings) return meta;
+
+    const servings = meta.servings * factor;
+    return {
+        ...meta,
+        servings,
+        yield: meta.yield ? {
+            ...meta.yield,
+            amount: servings,
+            display: `${formatAmount(roundAmount(servings))} ${meta.yield.unit}`
+        } : meta.yield
+    };
+}
+
+// Scale every ingredient of a recipe returned by extractRecipeData, and its
+// servings and yield
+function scaleRecipe(recipe, factor) {
+    return {
+        ...recipe,
+        meta: scaleMeta(recipe.meta, factor),
+        ingredients: recipe.ingredients.map(ingredient => scaleIngredient(ingredient, factor))
+    };
+}
+
+module.exports = {
+    roundAmount,
+    formatAmount,
+    scaleIngredient,
+    scaleRecipe
+};
@@ -0,0 +1,68 @@
+// Helper function to turn a WordPress `*_gmt` timestamp, which has no
+// offset, into an ISO 8601 UTC time
+function gmtToIso(gmt) {
+    return gmt ? `${gmt}Z` : undefined;
+}
+
+// Build a schema.org Recipe object from extractRecipeData output and the
+// post it came from, given as { title, dateGmt, modifiedGmt, link, author,
+// featuredMedia } with the dates as WordPress's `date_gmt` and
+// `modified_gmt`, and author and featuredMedia shaped as in enriched posts.
+function buildRecipeJsonLd(recipe, post) {
+    const { times = {}, servings, yield: recipeYield } = recipe.meta;
+    const featuredMedia = post.featuredMedia;
+
+    const images = featuredMedia ? [
+        featuredMedia.url,
+        ...Object.values(featuredMedia.meta?.sizes || {})
+            .filter(size => size.width >= 600)
+            .map(size => size.source_url)
+    ].filter((url, index, self) => url && self.indexOf(url) === index) : [];
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: recipe.name || post.title,
+        description: recipe.summary,
+        image: images,
+        author: post.author ? {
+            '@type': 'Person',
+            name: post.author.name,
+            url: post.author.url,
+            image: post.author.avatar,
+            sameAs: post.author.social
+        } : undefined,
+        datePublished: gmtToIso(post.dateGmt),
+        dateModified: gmtToIso(post.modifiedGmt),
+        url: post.link,
+        prepTime: times.prep?.iso,
+        cookTime: times.cook?.iso,
+        totalTime: times.total?.iso,
+        recipeYield: servings ? [String(servings), recipeYield.display] : undefined,
+        recipeCategory: recipe.meta.course,
+        recipeCuisine: recipe.meta.cuisine,
+        keywords: recipe.meta.keywords?.join(', '),
+        recipeIngredient: recipe.ingredients.map(ingredient =>
+            [ingredient.amount, ingredient.unit, ingredient.name, ingredient.notes]
+                .filter(Boolean)
+                .join(' ')
+        ),
+        recipeInstructions: recipe.instructions
+            .filter(instruction => instruction.text)
+            .map((instruction, index) => ({
+                '@type': 'HowToStep',
+                position: index + 1,
+                text: instruction.text,
+                image: instruction.image || undefined,
+                // WPRM gives each step an id, which the post page links to
+                url: post.link && instruction.id ? `${post.link}#${instruction.id}` : undefined
+            }))
+    };
+
+    // Drop empty fields so validators don't flag them
+    return JSON.parse(JSON.stringify(jsonLd));
+}
+
+module.exports = {
+    buildRecipeJsonLd
+};
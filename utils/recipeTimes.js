@@ -0,0 +1,118 @@
+const { parseQuantity } = require('./ingredientParser');
+
+// Minutes per duration unit as written by WPRM and recipe authors
+const DURATION_UNITS = {
+    d: 1440, day: 1440, days: 1440,
+    h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+    m: 1, min: 1, mins: 1, minute: 1, minutes: 1
+};
+
+// An amount and its unit in duration text. Amounts are whole numbers,
+// decimals, fractions, mixed numbers and ranges of those, read the same way
+// as ingredient amounts.
+const DURATION_NUMBER = '\\d+(?:\\.\\d+)?(?:\\s*[½⅓⅔¼¾⅛⅜⅝⅞]|[\\s-]+\\d+\\/\\d+)?|\\d+\\/\\d+|[½⅓⅔¼¾⅛⅜⅝⅞]';
+const DURATION_PATTERN = new RegExp(`((?:${DURATION_NUMBER})(?:\\s*(?:-|–|to)\\s*(?:${DURATION_NUMBER}))?)\\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m)(?![a-z])`);
+
+// Parse display text like "15 mins", "1 hr 20 mins", "1h30m" or "1 1/2 hours"
+// into minutes. A bare number is read as minutes, and a range like
+// "15-20 mins" as its upper bound. Returns null if nothing can be parsed.
+function parseDuration(text) {
+    if (!text) return null;
+
+    const value = String(text).toLowerCase().trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Math.round(parseFloat(value));
+    }
+
+    const pattern = new RegExp(DURATION_PATTERN.source, 'g');
+    let minutes = 0;
+    let matched = false;
+    let match;
+
+    while ((match = pattern.exec(value)) !== null) {
+        const quantity = parseQuantity(match[1]);
+        if (!quantity) continue;
+        minutes += quantity.max * DURATION_UNITS[match[2]];
+        matched = true;
+    }
+
+    return matched ? Math.round(minutes) : null;
+}
+
+// Format minutes as an ISO-8601 duration, e.g. 80 -> "PT1H20M"
+function toIsoDuration(minutes) {
+    if (minutes === null || minutes === undefined) return null;
+
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+
+    let time = '';
+    if (hours) time += `${hours}H`;
+    if (mins || (!days && !hours)) time += `${mins}M`;
+
+    return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+// Build the { display, minutes, iso } shape for a time field
+function buildTime(display, label) {
+    if (!display) return null;
+
+    const minutes = parseDuration(display);
+    return {
+        ...(label ? { label } : {}),
+        display,
+        minutes,
+        iso: toIsoDuration(minutes)
+    };
+}
+
+// Read a WPRM time field. Hours and minutes are rendered as separate
+// elements sharing the field class, so their text is joined.
+function extractTimeText(recipeContainer, field) {
+    const text = Array.from(recipeContainer.querySelectorAll(`.wprm-recipe-${field}_time`))
+        .map(element => element.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+
+    return text || null;
+}
+
+// Extract prep, cook, custom and total times from a WPRM recipe container
+function extractRecipeTimes(recipeContainer) {
+    const customLabel = recipeContainer
+        .querySelector('.wprm-recipe-custom-time-label, .wprm-recipe-custom_time-label')
+        ?.textContent?.trim()
+        ?.replace(/:$/, '');
+
+    return {
+        prep: buildTime(extractTimeText(recipeContainer, 'prep')),
+        cook: buildTime(extractTimeText(recipeContainer, 'cook')),
+        custom: buildTime(extractTimeText(recipeContainer, 'custom'), customLabel || 'Custom Time'),
+        total: buildTime(extractTimeText(recipeContainer, 'total'))
+    };
+}
+
+// Extract servings and yield from a WPRM recipe container
+function extractRecipeYield(recipeContainer) {
+    const servingsText = recipeContainer.querySelector('.wprm-recipe-servings')?.textContent?.trim();
+    const servingsUnit = recipeContainer.querySelector('.wprm-recipe-servings-unit')?.textContent?.trim() || null;
+    const servings = parseFloat(servingsText) || null;
+
+    return {
+        servings,
+        servingsUnit,
+        yield: servings ? {
+            amount: servings,
+            unit: servingsUnit || 'servings',
+            display: `${servingsText} ${servingsUnit || 'servings'}`
+        } : null
+    };
+}
+
+module.exports = {
+    parseDuration,
+    toIsoDuration,
+    extractRecipeTimes,
+    extractRecipeYield
+};
@@ -0,0 +1,186 @@
+const { UNITS } = require('./ingredientParser');
+const { normalizeIngredientName } = require('./ingredientMatcher');
+const { findDensity, fromBaseAmount } = require('./unitConverter');
+const { roundAmount, formatAmount } = require('./recipeScaler');
+
+// Store aisles in walking order, with words that place an ingredient in them.
+// An ingredient goes by its head noun (the last word), so "chicken stock" is
+// stock and "garlic powder" is powder; multi-word keywords ending the name
+// are checked first so "white pepper" beats "pepper".
+const AISLES = [
+    { id: 'produce', name: 'Produce', keywords: ['onion', 'garlic', 'ginger', 'scallion', 'cilantro', 'basil', 'mint', 'lemon', 'lime', 'carrot', 'celery', 'cabbage', 'bok choy', 'lettuce', 'spinach', 'tomato', 'potato', 'mushroom', 'pepper', 'chili', 'cucumber', 'eggplant', 'zucchini', 'broccoli', 'bean sprout', 'apple', 'banana', 'mango', 'herb', 'shallot', 'leek', 'corn'] },
+    { id: 'meat-seafood', name: 'Meat & Seafood', keywords: ['chicken', 'beef', 'pork', 'lamb', 'duck', 'bacon', 'sausage', 'shrimp', 'fish', 'salmon', 'cod', 'squid', 'scallop', 'crab', 'clam', 'mussel'] },
+    { id: 'dairy-eggs', name: 'Dairy & Eggs', keywords: ['egg', 'milk', 'butter', 'cream', 'cheese', 'yogurt'] },
+    { id: 'tofu-noodles', name: 'Tofu & Noodles', keywords: ['tofu', 'noodle', 'udon', 'ramen', 'vermicelli', 'dumpling wrapper', 'wonton wrapper', 'rice cake'] },
+    { id: 'sauces-condiments', name: 'Sauces & Condiments', keywords: ['sauce', 'vinegar', 'wine', 'paste', 'mirin', 'ketchup', 'mayo', 'mustard', 'honey', 'syrup'] },
+    { id: 'baking-spices', name: 'Baking & Spices', keywords: ['flour', 'sugar', 'starch', 'baking', 'yeast', 'salt', 'black pepper', 'white pepper', 'peppercorn', 'spice', 'powder', 'cinnamon', 'star anise', 'cumin', 'paprika', 'msg', 'vanilla', 'chocolate', 'cocoa', 'flake'] },
+    { id: 'pantry', name: 'Pantry', keywords: ['peanut butter', 'coconut milk', 'rice', 'oil', 'bean', 'seed', 'nut', 'peanut', 'stock', 'broth', 'can', 'oat', 'panko', 'breadcrumb'] },
+    { id: 'frozen', name: 'Frozen', keywords: ['frozen'] },
+    { id: 'bakery', name: 'Bakery', keywords: ['bread', 'bun', 'tortilla', 'bagel'] },
+    { id: 'beverages', name: 'Beverages', keywords: ['water', 'juice', 'soda', 'tea', 'coffee'] }
+];
+
+const OTHER_AISLE = { id: 'other', name: 'Other' };
+
+function findAisle(normalizedName) {
+    const words = normalizedName.split(' ');
+    const headNoun = words[words.length - 1];
+    const name = ` ${normalizedName}`;
+
+    return AISLES.find(aisle => aisle.keywords.some(keyword => keyword.includes(' ') && name.endsWith(` ${keyword}`))) ||
+        AISLES.find(aisle => aisle.keywords.includes(headNoun)) ||
+        // Names whose head noun isn't a keyword, e.g. "frozen pea"
+        AISLES.find(aisle => aisle.keywords.some(keyword => words.includes(keyword))) ||
+        OTHER_AISLE;
+}
+
+// Amounts can be summed when they were parsed into a known unit
+function isSummable(item) {
+    if (!item.quantity || !item.normalizedUnit) return false;
+
+    const unit = UNITS[item.normalizedUnit.id];
+    return Boolean(unit.toBase) || unit.dimension === 'count';
+}
+
+// Pick the unit system the source amounts were mostly written in
+function pickSystem(items) {
+    const systems = items.map(item => UNITS[item.normalizedUnit.id].system).filter(Boolean);
+    const metric = systems.filter(system => system === 'metric').length;
+    return metric > systems.length / 2 ? 'metric' : 'us';
+}
+
+// Sum amounts that share a dimension. Volumes of dry goods with a known
+// density are folded into their weight so "1 cup flour" and "100 g flour"
+// become one line.
+function sumMeasured(name, items) {
+    const density = findDensity(name);
+    const hasMass = items.some(item => item.normalizedUnit.dimension === 'mass');
+    const groups = {};
+
+    items.forEach(item => {
+        const unit = UNITS[item.normalizedUnit.id];
+        let dimension = unit.dimension;
+        let factor = unit.toBase;
+
+        if (dimension === 'count') {
+            // Count units only combine with the same unit
+            dimension = `count:${item.normalizedUnit.id}`;
+            factor = 1;
+        } else if (dimension === 'volume' && density && hasMass) {
+            dimension = 'mass';
+            factor = unit.toBase * density;
+        }
+
+        const group = groups[dimension] || (groups[dimension] = { min: 0, max: 0, items: [] });
+        group.min += item.quantity.min * factor;
+        group.max += item.quantity.max * factor;
+        group.items.push(item);
+    });
+
+    return Object.entries(groups).map(([dimension, group]) => {
+        if (dimension.startsWith('count:')) {
+            const unitId = dimension.slice('count:'.length);
+            const first = group.items[0];
+            // Round to a displayable fraction; roundAmount never turns a
+            // non-zero sum into 0
+            const min = roundAmount(group.min, unitId);
+            const max = roundAmount(group.max, unitId);
+            return {
+                amount: min === max
+                    ? formatAmount(min, unitId)
+                    : `${formatAmount(min, unitId)}-${formatAmount(max, unitId)}`,
+                unit: unitId === 'each' ? '' : first.unit,
+                quantity: {
+                    value: (min + max) / 2,
+                    min,
+                    max,
+                    isRange: min !== max
+                },
+                normalizedUnit: first.normalizedUnit,
+                items: group.items
+            };
+        }
+
+        return {
+            ...fromBaseAmount(group.min, group.max, dimension, pickSystem(group.items)),
+            items: group.items
+        };
+    });
+}
+
+function listSources(items) {
+    const sources = new Map();
+    items.forEach(item => sources.set(item.source.postId, item.source));
+    return Array.from(sources.values());
+}
+
+// Merge the ingredients of several recipes into one list grouped by aisle.
+// Each entry of `recipes` is { postId, title, recipe } with the recipe
+// already scaled to the wanted servings.
+function buildShoppingList(recipes) {
+    const byName = new Map();
+
+    recipes.forEach(({ postId, title, recipe }) => {
+        recipe.ingredients.forEach(ingredient => {
+            const normalizedName = normalizeIngredientName(ingredient.name);
+            if (!normalizedName) return;
+
+            if (!byName.has(normalizedName)) {
+                byName.set(normalizedName, { name: ingredient.name, items: [] });
+            }
+            byName.get(normalizedName).items.push({ ...ingredient, source: { postId, title } });
+        });
+    });
+
+    const aisles = new Map();
+    const addLine = (normalizedName, line) => {
+        const aisle = findAisle(normalizedName);
+        if (!aisles.has(aisle.id)) {
+            aisles.set(aisle.id, { id: aisle.id, name: aisle.name, items: [] });
+        }
+        aisles.get(aisle.id).items.push(line);
+    };
+
+    byName.forEach(({ name, items }, normalizedName) => {
+        const measured = items.filter(isSummable);
+        const unmeasured = items.filter(item => !isSummable(item));
+
+        sumMeasured(normalizedName, measured).forEach(({ items: groupItems, ...amount }) => {
+            addLine(normalizedName, {
+                name,
+                normalizedName,
+                ...amount,
+                recipes: listSources(groupItems)
+            });
+        });
+
+        // "to taste" and unit-less amounts can't be summed, so keep them as notes
+        if (unmeasured.length > 0) {
+            addLine(normalizedName, {
+                name,
+                normalizedName,
+                amount: null,
+                unit: null,
+                quantity: null,
+                normalizedUnit: null,
+                notes: Array.from(new Set(unmeasured
+                    .map(item => [item.amount, item.unit].filter(Boolean).join(' '))
+                    .filter(Boolean))),
+                recipes: listSources(unmeasured)
+            });
+        }
+    });
+
+    const order = [...AISLES, OTHER_AISLE].map(aisle => aisle.id);
+    return Array.from(aisles.values())
+        .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+        .map(aisle => ({
+            ...aisle,
+            items: aisle.items.sort((a, b) => a.normalizedName.localeCompare(b.normalizedName))
+        }));
+}
+
+module.exports = {
+    AISLES,
+    buildShoppingList
+};
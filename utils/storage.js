@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { put, del, list } = require('@vercel/blob');
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Where rendered media is stored: 'vercel' (Vercel Blob), 'local' (a folder
+// served by this API under /media) or 's3' (any S3-compatible store, e.g. MinIO)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'vercel';
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'data', 'media');
+const LOCAL_MEDIA_ROUTE = '/media';
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+// Helper function to guess an object's content type from its name
+function contentTypeFor(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Helper function to add a random suffix before the extension, like Vercel
+// Blob does, so uploads never overwrite each other
+function uniqueKey(filename) {
+    const ext = path.extname(filename);
+    return `${filename.slice(0, filename.length - ext.length)}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+}
+
+// Helper function to join a base URL and an object key
+function joinUrl(base, key) {
+    return `${base.replace(/\/+$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function createVercelStorage() {
+    return {
+        name: 'vercel',
+
+        async put(filename, buffer) {
+            const blob = await put(filename, buffer, {
+                access: 'public',
+                addRandomSuffix: true,
+                contentType: contentTypeFor(filename)
+            });
+            return { key: blob.pathname, url: blob.url };
+        },
+
+        // Vercel Blob deletes by URL, so look the key up first
+        async delete(key) {
+            const { blobs } = await list({ prefix: key, limit: 1000 });
+            const blob = blobs.find(item => item.pathname === key);
+            if (!blob) return false;
+            await del(blob.url);
+            return true;
+        },
+
+        async list(prefix) {
+            const objects = [];
+            let cursor;
+            do {
+                const page = await list({ prefix: prefix || undefined, cursor });
+                page.blobs.forEach(blob => objects.push({
+                    key: blob.pathname,
+                    url: blob.url,
+                    size: blob.size,
+                    uploadedAt: new Date(blob.uploadedAt).toISOString()
+                }));
+                cursor = page.hasMore ? page.cursor : null;
+            } while (cursor);
+            return objects;
+        }
+    };
+}
+
+// Files are written under LOCAL_STORAGE_DIR and served by index.js at
+// /media; STORAGE_PUBLIC_URL is the address clients reach that route on
+function createLocalStorage() {
+    const publicUrl = process.env.STORAGE_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 3000}${LOCAL_MEDIA_ROUTE}`;
+
+    // Keys are flat file names, so anything that could leave the folder
+    // can't name a stored object
+    const isValidKey = key => Boolean(key) && key === path.basename(key) && !key.startsWith('.');
+
+    return {
+        name: 'local',
+
+        async put(filename, buffer) {
+            const key = uniqueKey(path.basename(filename));
+            await fs.promises.mkdir(LOCAL_STORAGE_DIR, { recursive: true });
+            await fs.promises.writeFile(path.join(LOCAL_STORAGE_DIR, key), buffer);
+            return { key, url: joinUrl(publicUrl, key) };
+        },
+
+        async delete(key) {
+            if (!isValidKey(key)) return false;
+            try {
+                await fs.promises.unlink(path.join(LOCAL_STORAGE_DIR, key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        async list(prefix) {
+            let names;
+            try {
+                names = await fs.promises.readdir(LOCAL_STORAGE_DIR);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const objects = [];
+            for (const name of names.filter(item => !prefix || item.startsWith(prefix)).sort()) {
+                const stats = await fs.promises.stat(path.join(LOCAL_STORAGE_DIR, name));
+                if (!stats.isFile()) continue;
+                objects.push({
+                    key: name,
+                    url: joinUrl(publicUrl, name),
+                    size: stats.size,
+                    uploadedAt: stats.mtime.toISOString()
+                });
+            }
+            return objects;
+        }
+    };
+}
+
+// S3_ENDPOINT points at MinIO or another S3-compatible server; without it
+// the client talks to AWS. Credentials fall back to the usual AWS sources.
+function createS3Storage() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_BACKEND is s3');
+    }
+
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT;
+    // MinIO serves buckets as paths rather than subdomains
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(endpoint);
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    const publicUrl = process.env.STORAGE_PUBLIC_URL || (forcePathStyle
+        ? `${(endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+    return {
+        name: 's3',
+
+        async put(filename, buffer) {
+            const key = uniqueKey(filename);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentTypeFor(key)
+            }));
+            return { key, url: joinUrl(publicUrl, key) };
+        },
+
+        // S3 deletes succeed whether or not the object exists, so check first
+        async delete(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404) return false;
+                throw error;
+            }
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        async list(prefix) {
+            const objects = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix || undefined,
+                    ContinuationToken
+                }));
+                (page.Contents || []).forEach(item => objects.push({
+                    key: item.Key,
+                    url: joinUrl(publicUrl, item.Key),
+                    size: item.Size,
+                    uploadedAt: item.LastModified ? new Date(item.LastModified).toISOString() : null
+                }));
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : null;
+            } while (ContinuationToken);
+            return objects;
+        }
+    };
+}
+
+const BACKENDS = {
+    vercel: createVercelStorage,
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+let storage = null;
+
+// The configured backend, created on first use
+function getStorage() {
+    if (storage) return storage;
+
+    const createBackend = BACKENDS[STORAGE_BACKEND];
+    if (!createBackend) {
+        throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}", expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    storage = createBackend();
+    return storage;
+}
+
+// Store `buffer` under a name based on `filename`. Resolves with the
+// object's { key, url } and rejects when the upload fails.
+async function putObject(filename, buffer) {
+    const backend = getStorage();
+    try {
+        return await backend.put(filename, buffer);
+    } catch (error) {
+        throw new Error(`Upload of ${filename} to ${backend.name} storage failed: ${error.message}`);
+    }
+}
+
+// Resolves true when the object existed and was deleted
+function deleteObject(key) {
+    return getStorage().delete(key);
+}
+
+// Delete several objects, e.g. the files of a replaced or failed render.
+// Failures are logged rather than thrown, since the files are only leftovers.
+// Resolves with the number deleted.
+async function deleteObjects(keys) {
+    let deleted = 0;
+    for (const key of keys) {
+        try {
+            if (await deleteObject(key)) deleted++;
+        } catch (error) {
+            console.error(`Error deleting stored object ${key}:`, error.message);
+        }
+    }
+    return deleted;
+}
+
+// Stored objects as [{ key, url, size, uploadedAt }], optionally only those
+// whose key starts with `prefix`
+function listObjects(prefix) {
+    return getStorage().list(prefix);
+}
+
+module.exports = {
+    STORAGE_BACKEND,
+    LOCAL_STORAGE_DIR,
+    LOCAL_MEDIA_ROUTE,
+    getStorage,
+    putObject,
+    deleteObject,
+    deleteObjects,
+    listObjects
+};
@@ -0,0 +1,184 @@
+const { UNITS } = require('./ingredientParser');
+const { roundAmount, formatAmount } = require('./recipeScaler');
+
+const UNIT_SYSTEMS = ['metric', 'us', 'original'];
+
+// Approximate densities in grams per millilitre for dry ingredients that
+// are better measured by weight. Liquids are left out on purpose so that
+// "1 cup water" converts to millilitres rather than grams.
+const DENSITIES = {
+    'all-purpose flour': 0.53,
+    'all purpose flour': 0.53,
+    'bread flour': 0.55,
+    'cake flour': 0.48,
+    'glutinous rice flour': 0.65,
+    'rice flour': 0.67,
+    'flour': 0.53,
+    'cornstarch': 0.54,
+    'corn starch': 0.54,
+    'potato starch': 0.6,
+    'tapioca starch': 0.51,
+    'powdered sugar': 0.5,
+    'icing sugar': 0.5,
+    'brown sugar': 0.93,
+    'rock sugar': 0.9,
+    'sugar': 0.85,
+    'jasmine rice': 0.85,
+    'sushi rice': 0.85,
+    'glutinous rice': 0.85,
+    'rice': 0.85,
+    'butter': 0.96,
+    'cocoa powder': 0.42,
+    'rolled oats': 0.38,
+    'oats': 0.38,
+    'panko': 0.2,
+    'breadcrumbs': 0.25,
+    'sesame seeds': 0.6,
+    'peanuts': 0.6,
+    'kosher salt': 0.65,
+    'salt': 1.2
+};
+
+// Longest names first so "brown sugar" wins over "sugar"
+const DENSITY_NAMES = Object.keys(DENSITIES).sort((a, b) => b.length - a.length);
+
+const UNIT_LABELS = {
+    teaspoon: 'tsp',
+    tablespoon: 'tbsp',
+    cup: 'cup',
+    milliliter: 'ml',
+    liter: 'l',
+    gram: 'g',
+    kilogram: 'kg',
+    ounce: 'oz',
+    pound: 'lb'
+};
+
+// Units too small or vague to be worth converting
+const UNCONVERTIBLE_UNITS = ['pinch', 'dash'];
+
+// Head nouns of liquids, which are measured by volume even when the name
+// also mentions a dry ingredient, e.g. "rice vinegar" or "sugar water"
+const LIQUID_NOUNS = ['vinegar', 'wine', 'sauce', 'water', 'milk', 'stock', 'broth', 'oil', 'juice', 'syrup'];
+
+// Helper function to split an ingredient name into lowercase words, leaving
+// out notes in parentheses or after a comma
+function nameWords(name) {
+    return name.toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .split(',')[0]
+        .match(/[a-z]+(?:-[a-z]+)*/g) || [];
+}
+
+// Density of an ingredient, matched on the end of its name so that the
+// head noun decides: "jasmine rice" is rice, "rice vinegar" is vinegar.
+// Liquids have no density.
+function findDensity(name) {
+    if (!name) return null;
+
+    const words = nameWords(name);
+    if (words.length === 0 || LIQUID_NOUNS.includes(words[words.length - 1])) return null;
+
+    const text = ` ${words.join(' ')}`;
+    const match = DENSITY_NAMES.find(densityName => text.endsWith(` ${densityName}`));
+    return match ? DENSITIES[match] : null;
+}
+
+// Pick the most readable unit of the target system for an amount in base units
+function pickTargetUnit(baseAmount, dimension, system) {
+    if (system === 'metric') {
+        if (dimension === 'volume') return baseAmount >= 1000 ? 'liter' : 'milliliter';
+        return baseAmount >= 1000 ? 'kilogram' : 'gram';
+    }
+
+    if (dimension === 'volume') {
+        if (baseAmount >= UNITS.cup.toBase / 4) return 'cup';
+        if (baseAmount >= UNITS.tablespoon.toBase) return 'tablespoon';
+        return 'teaspoon';
+    }
+    return baseAmount >= UNITS.pound.toBase ? 'pound' : 'ounce';
+}
+
+// Express an amount range given in base units (millilitres or grams) in the
+// most readable unit of a system, rounded and formatted for display
+function fromBaseAmount(baseMin, baseMax, dimension, system) {
+    const targetId = pickTargetUnit((baseMin + baseMax) / 2, dimension, system);
+    const fromBase = UNITS[targetId].toBase;
+    const min = roundAmount(baseMin / fromBase, targetId);
+    const max = roundAmount(baseMax / fromBase, targetId);
+
+    return {
+        amount: min === max
+            ? formatAmount(min, targetId)
+            : `${formatAmount(min, targetId)}-${formatAmount(max, targetId)}`,
+        unit: targetId === 'cup' && max > 1 ? 'cups' : UNIT_LABELS[targetId],
+        quantity: {
+            value: (min + max) / 2,
+            min,
+            max,
+            isRange: min !== max
+        },
+        normalizedUnit: { id: targetId, dimension }
+    };
+}
+
+// Convert a parsed ingredient to the given unit system. The original
+// amount and unit are kept under `original` for display.
+function convertIngredient(ingredient, system) {
+    if (system === 'original' || !ingredient.quantity || !ingredient.normalizedUnit) {
+        return ingredient;
+    }
+
+    const sourceId = ingredient.normalizedUnit.id;
+    const source = UNITS[sourceId];
+    if (!source?.toBase || source.system === system || UNCONVERTIBLE_UNITS.includes(sourceId)) {
+        return ingredient;
+    }
+
+    const density = findDensity(ingredient.name);
+    let dimension = source.dimension;
+    let toTarget = value => value * source.toBase;
+
+    // Dry goods by weight in metric, by volume in US measures
+    if (density && system === 'metric' && dimension === 'volume') {
+        dimension = 'mass';
+        toTarget = value => value * source.toBase * density;
+    } else if (density && system === 'us' && dimension === 'mass') {
+        dimension = 'volume';
+        toTarget = value => value * source.toBase / density;
+    }
+
+    return {
+        ...ingredient,
+        ...fromBaseAmount(
+            toTarget(ingredient.quantity.min),
+            toTarget(ingredient.quantity.max),
+            dimension,
+            system
+        ),
+        original: {
+            amount: ingredient.amount,
+            unit: ingredient.unit,
+            quantity: ingredient.quantity,
+            normalizedUnit: ingredient.normalizedUnit
+        }
+    };
+}
+
+// Convert every ingredient of a recipe returned by extractRecipeData
+function convertRecipe(recipe, system) {
+    if (system === 'original') return recipe;
+
+    return {
+        ...recipe,
+        ingredients: recipe.ingredients.map(ingredient => convertIngredient(ingredient, system))
+    };
+}
+
+module.exports = {
+    UNIT_SYSTEMS,
+    findDensity,
+    fromBaseAmount,
+    convertIngredient,
+    convertRecipe
+};
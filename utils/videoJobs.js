@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const wordpress = require('./wordpressClient');
+const { generateAndStoreVideo } = require('./backgroundTasks');
+
+// How many renders run at once. ffmpeg is heavy, so default to one.
+const JOB_CONCURRENCY = parseInt(process.env.VIDEO_JOB_CONCURRENCY) || 1;
+
+// Finished jobs kept around for status lookups
+const MAX_FINISHED_JOBS = 200;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+// Callbacks waiting for a job to finish, by job ID
+const finishWaiters = new Map();
+
+function isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+}
+
+// Public view of a job, without its internals
+function serializeJob(job) {
+    const { controller, ...publicJob } = job;
+    return publicJob;
+}
+
+function pruneFinishedJobs() {
+    const finished = Array.from(jobs.values()).filter(job => !isActive(job));
+    finished
+        .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+        .forEach(job => jobs.delete(job.id));
+}
+
+function finishJob(job, status, changes = {}) {
+    Object.assign(job, changes, {
+        status,
+        finishedAt: new Date().toISOString()
+    });
+    delete job.controller;
+    pruneFinishedJobs();
+
+    (finishWaiters.get(job.id) || []).forEach(resolve => resolve(serializeJob(job)));
+    finishWaiters.delete(job.id);
+}
+
+async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+
+    try {
+        const { data: post } = await wordpress.get(`/posts/${job.postId}`);
+        if (job.controller.signal.aborted) {
+            return finishJob(job, 'cancelled');
+        }
+
+        const result = await generateAndStoreVideo(post, {
+            force: job.force,
+            options: job.options,
+            signal: job.controller.signal,
+            onProgress: progress => {
+                job.progress = {
+                    ...progress,
+                    percent: progress.total ? Math.round((progress.current / progress.total) * 100) : null
+                };
+            }
+        });
+
+        if (!result && !job.force) {
+            // No images, or the post's video is already up to date
+            finishJob(job, 'skipped');
+        } else if (!result) {
+            finishJob(job, 'failed', { error: 'Post has no images to build a video from' });
+        } else if (result.status === 'completed' && result.url) {
+            finishJob(job, 'completed', { result });
+        } else if (result.status === 'cancelled') {
+            finishJob(job, 'cancelled');
+        } else {
+            finishJob(job, 'failed', { error: result.error || 'Video upload failed' });
+        }
+    } catch (error) {
+        console.error(`Video job ${job.id} failed:`, error);
+        finishJob(job, 'failed', { error: error.message });
+    }
+}
+
+function processQueue() {
+    while (running < JOB_CONCURRENCY && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+        runJob(job).finally(() => {
+            running--;
+            processQueue();
+        });
+    }
+}
+
+function findActiveJobForPost(postId) {
+    return Array.from(jobs.values()).find(job => job.postId === postId && isActive(job)) || null;
+}
+
+// Queue a video job for a post. A post only ever has one active job, so
+// asking again returns the job that's already queued or running. Unforced
+// jobs skip posts whose video is already up to date; `options` are the
+// render options from videoOptions.
+function enqueueVideoJob(postId, { retriedFrom = null, force = true, options = {} } = {}) {
+    const existing = findActiveJobForPost(postId);
+    if (existing) {
+        return { job: serializeJob(existing), created: false };
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        postId,
+        force,
+        options,
+        status: 'queued',
+        progress: { stage: 'queued', current: 0, total: 0, percent: 0 },
+        result: null,
+        error: null,
+        retriedFrom,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    processQueue();
+
+    return { job: serializeJob(job), created: true };
+}
+
+function getVideoJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? serializeJob(job) : null;
+}
+
+// Resolves with the job once it has finished, or null if there is no such job
+function waitForVideoJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return Promise.resolve(null);
+    if (!isActive(job)) return Promise.resolve(serializeJob(job));
+
+    return new Promise(resolve => {
+        finishWaiters.set(jobId, [...(finishWaiters.get(jobId) || []), resolve]);
+    });
+}
+
+// Cancel a queued or running job. Returns null if there is no such job.
+function cancelVideoJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+        queue.splice(queue.indexOf(job), 1);
+        finishJob(job, 'cancelled');
+    } else if (job.status === 'running') {
+        // runJob marks the job cancelled once ffmpeg has stopped
+        job.controller.abort();
+        job.cancelRequested = true;
+    }
+
+    return serializeJob(job);
+}
+
+// Cancel the active job for a post, if it has one
+function cancelVideoJobForPost(postId) {
+    const job = findActiveJobForPost(postId);
+    return job ? cancelVideoJob(job.id) : null;
+}
+
+// Start a new job for the post of a failed or cancelled job
+function retryVideoJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    return enqueueVideoJob(job.postId, { retriedFrom: job.id, options: job.options });
+}
+
+module.exports = {
+    enqueueVideoJob,
+    getVideoJob,
+    waitForVideoJob,
+    cancelVideoJob,
+    cancelVideoJobForPost,
+    retryVideoJob
+};
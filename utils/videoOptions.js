@@ -0,0 +1,130 @@
+const { getTrack, listMoods } = require('./musicLibrary');
+const { VIDEO_PRESETS, DEFAULT_PRESET } = require('./videoPresets');
+
+// Limits, in seconds, for how long each image is shown
+const MIN_SLIDE_DURATION = 1;
+const MAX_SLIDE_DURATION = 10;
+
+// Transition names accepted by the API and the ffmpeg xfade transition each
+// one renders with. 'none' hard-cuts between slides.
+const TRANSITIONS = {
+    none: null,
+    crossfade: 'fade',
+    slide: 'slideleft',
+    wipe: 'wipeleft',
+    zoom: 'zoomin'
+};
+
+// Motion applied to each still image. 'kenburns' slowly pans and zooms.
+const MOTIONS = ['none', 'kenburns'];
+
+const DEFAULT_OPTIONS = {
+    // Output formats rendered from the same images, first one is the main video
+    presets: (process.env.VIDEO_PRESETS || DEFAULT_PRESET).split(',').map(name => name.trim()),
+    slideDuration: parseFloat(process.env.VIDEO_SLIDE_DURATION) || 3,
+    transition: process.env.VIDEO_TRANSITION || 'crossfade',
+    transitionDuration: parseFloat(process.env.VIDEO_TRANSITION_DURATION) || 0.5,
+    motion: process.env.VIDEO_MOTION || 'none',
+    titleCard: process.env.VIDEO_TITLE_CARD !== 'false',
+    closingCard: process.env.VIDEO_CLOSING_CARD !== 'false',
+    captions: process.env.VIDEO_CAPTIONS === 'true',
+    // 'none', 'random' or a track ID from the music library
+    music: process.env.VIDEO_MUSIC || 'none',
+    musicMood: process.env.VIDEO_MUSIC_MOOD || null
+};
+
+const BOOLEAN_OPTIONS = ['titleCard', 'closingCard', 'captions'];
+
+// Check render options from a request. Returns a list of problems, empty
+// when the options are usable.
+function validateVideoOptions(options = {}) {
+    const errors = [];
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, resolved.transition)) {
+        errors.push(`transition must be one of: ${Object.keys(TRANSITIONS).join(', ')}`);
+    }
+
+    if (!Array.isArray(resolved.presets) || resolved.presets.length === 0 ||
+        resolved.presets.some(name => !Object.prototype.hasOwnProperty.call(VIDEO_PRESETS, name))) {
+        errors.push(`presets must be a list of: ${Object.keys(VIDEO_PRESETS).join(', ')}`);
+    }
+
+    const slideDuration = Number(resolved.slideDuration);
+    if (!(slideDuration >= MIN_SLIDE_DURATION && slideDuration <= MAX_SLIDE_DURATION)) {
+        errors.push(`slideDuration must be between ${MIN_SLIDE_DURATION} and ${MAX_SLIDE_DURATION} seconds`);
+    }
+
+    const duration = Number(resolved.transitionDuration);
+    if (!(duration > 0 && duration < slideDuration)) {
+        errors.push('transitionDuration must be more than 0 and less than slideDuration');
+    }
+
+    if (!MOTIONS.includes(resolved.motion)) {
+        errors.push(`motion must be one of: ${MOTIONS.join(', ')}`);
+    }
+
+    BOOLEAN_OPTIONS
+        .filter(name => typeof resolved[name] !== 'boolean')
+        .forEach(name => errors.push(`${name} must be true or false`));
+
+    if (!['none', 'random'].includes(resolved.music) && !getTrack(resolved.music)) {
+        errors.push('music must be none, random or the ID of a track in the music library');
+    }
+
+    if (resolved.musicMood && !listMoods().includes(String(resolved.musicMood).toLowerCase())) {
+        errors.push(`musicMood must be one of: ${listMoods().join(', ') || 'no moods available'}`);
+    }
+
+    // A mood only picks among random tracks. The default mood goes with the
+    // default music, so a request choosing its own music doesn't inherit it.
+    const musicMood = options.music !== undefined && options.musicMood === undefined ? null : resolved.musicMood;
+    if (musicMood && resolved.music !== 'random') {
+        errors.push('musicMood can only be set when music is random');
+    }
+
+    return errors;
+}
+
+// Check the defaults set through VIDEO_* environment variables, which every
+// job starts from. Throws so a bad setting stops the server at startup
+// rather than failing every render or request.
+function checkDefaultVideoOptions() {
+    const errors = validateVideoOptions();
+    if (errors.length > 0) {
+        throw new Error(`Invalid video settings in the environment: ${errors.join('; ')}`);
+    }
+}
+
+// Fill in defaults for any option a request left out
+function resolveVideoOptions(options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    return {
+        presets: Array.from(new Set(resolved.presets)),
+        slideDuration: Number(resolved.slideDuration),
+        transition: resolved.transition,
+        transitionDuration: Number(resolved.transitionDuration),
+        motion: resolved.motion,
+        titleCard: resolved.titleCard,
+        closingCard: resolved.closingCard,
+        captions: resolved.captions,
+        music: resolved.music,
+        musicMood: resolved.musicMood
+    };
+}
+
+// Length of the finished video. Each transition overlaps two slides.
+function calculateVideoDuration(slideCount, { slideDuration, transition, transitionDuration }) {
+    const overlap = TRANSITIONS[transition] ? transitionDuration : 0;
+    return slideCount * slideDuration - Math.max(0, slideCount - 1) * overlap;
+}
+
+module.exports = {
+    TRANSITIONS,
+    MOTIONS,
+    DEFAULT_OPTIONS,
+    validateVideoOptions,
+    checkDefaultVideoOptions,
+    resolveVideoOptions,
+    calculateVideoDuration
+};
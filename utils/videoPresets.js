@@ -0,0 +1,50 @@
+// Named output formats. Every preset keeps the blurred-background fill, so
+// images of any shape fill the frame.
+const VIDEO_PRESETS = {
+    // TikTok, Reels and Shorts
+    vertical: { aspectRatio: '9:16', width: 1080, height: 1920, fps: 30, bitrate: '8M', codec: 'h264' },
+    // YouTube
+    landscape: { aspectRatio: '16:9', width: 1920, height: 1080, fps: 30, bitrate: '8M', codec: 'h264' },
+    // Instagram feed
+    square: { aspectRatio: '1:1', width: 1080, height: 1080, fps: 30, bitrate: '6M', codec: 'h264' },
+    portrait: { aspectRatio: '4:5', width: 1080, height: 1350, fps: 30, bitrate: '6M', codec: 'h264' },
+    // Pinterest
+    pinterest: { aspectRatio: '2:3', width: 1000, height: 1500, fps: 30, bitrate: '6M', codec: 'h264' }
+};
+
+const DEFAULT_PRESET = 'vertical';
+
+// ffmpeg encoder and extra output options per codec
+const CODECS = {
+    h264: { encoder: 'libx264', options: [] },
+    // hvc1 tag so Apple players accept the stream
+    hevc: { encoder: 'libx265', options: ['-tag:v hvc1'] }
+};
+
+function getVideoPreset(name) {
+    const preset = VIDEO_PRESETS[name];
+    return preset ? { name, ...preset } : null;
+}
+
+// Encoder options for a preset, shared by every ffmpeg step that encodes
+// video so clips can later be joined without re-encoding
+function getEncoderOptions(preset) {
+    const codec = CODECS[preset.codec];
+    return [
+        `-c:v ${codec.encoder}`,
+        ...codec.options,
+        `-b:v ${preset.bitrate}`,
+        `-maxrate ${preset.bitrate}`,
+        `-bufsize ${parseInt(preset.bitrate) * 2}M`,
+        '-pix_fmt yuv420p',
+        '-preset ultrafast',
+        `-r ${preset.fps}`
+    ];
+}
+
+module.exports = {
+    VIDEO_PRESETS,
+    DEFAULT_PRESET,
+    getVideoPreset,
+    getEncoderOptions
+};
@@ -1,65 +1,229 @@
 const { google } = require('googleapis');
-const { put } = require('@vercel/blob');
 const ffmpeg = require('fluent-ffmpeg');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { TRANSITIONS, resolveVideoOptions, calculateVideoDuration } = require('./videoOptions');
+const { SITE_HANDLE, buildTextFilters, selectSlideCaption } = require('./videoText');
+const { getTrackPath, selectTrack } = require('./musicLibrary');
+const { getVideoPreset, getEncoderOptions } = require('./videoPresets');
+const { putObject, deleteObjects } = require('./storage');
+const { acquireWorkspace, releaseWorkspace } = require('./workspace');
 const youtube = google.youtube('v3');
 
 // Initialize the YouTube API client
 const youtubeClient = youtube.videos;
 
-// Create temp directory if it doesn't exist
-const tempDir = path.join(process.cwd(), 'temp');
-if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir);
+// How many images are downloaded and how many ffmpeg renders run at once
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.VIDEO_DOWNLOAD_CONCURRENCY) || 4;
+const RENDER_CONCURRENCY = parseInt(process.env.VIDEO_RENDER_CONCURRENCY) || 2;
+
+// Per-step time limits; a hung ffmpeg process is killed when they run out
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.VIDEO_DOWNLOAD_TIMEOUT_MS) || 30000;
+const CLIP_TIMEOUT_MS = parseInt(process.env.VIDEO_CLIP_TIMEOUT_MS) || 2 * 60 * 1000;
+const CONCAT_TIMEOUT_MS = parseInt(process.env.VIDEO_CONCAT_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Integrated loudness, in LUFS, that background music is normalized to
+const MUSIC_TARGET_LUFS = parseFloat(process.env.VIDEO_MUSIC_LUFS) || -14;
+const MUSIC_FADE_IN_SECONDS = 1;
+const MUSIC_FADE_OUT_SECONDS = 2;
+
+// Download limits for source images
+const MAX_IMAGE_BYTES = parseInt(process.env.VIDEO_MAX_IMAGE_BYTES) || 15 * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Still images and the looping preview shown before a video plays.
+// Posters are jpg or webp, previews webp or gif.
+const POSTER_FORMAT = process.env.VIDEO_POSTER_FORMAT === 'webp' ? 'webp' : 'jpg';
+const THUMBNAIL_WIDTH = parseInt(process.env.VIDEO_THUMBNAIL_WIDTH) || 320;
+const PREVIEW_FORMAT = process.env.VIDEO_PREVIEW_FORMAT === 'gif' ? 'gif' : 'webp';
+const PREVIEW_DURATION = parseFloat(process.env.VIDEO_PREVIEW_DURATION) || 3;
+const PREVIEW_WIDTH = parseInt(process.env.VIDEO_PREVIEW_WIDTH) || 320;
+const PREVIEW_FPS = parseInt(process.env.VIDEO_PREVIEW_FPS) || 12;
+
+// Helper function to run `worker` over `items` with at most `limit` running
+// at once. Results keep the order of `items`; the first failure stops new
+// items from starting and is rethrown once the items already running have
+// settled, so no worker is still writing when the caller cleans up.
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const runWorker = async () => {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+    if (failure) {
+        throw failure.error;
+    }
+    return results;
 }
 
-// Helper function to download image
-async function downloadImage(url, filepath) {
+// Helper function to download image, enforcing the size and type limits
+async function downloadImage(url, filepath, signal) {
     const response = await axios({
         url,
         method: 'GET',
-        responseType: 'stream'
+        responseType: 'stream',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_IMAGE_BYTES,
+        signal
     });
-    
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+        response.data.destroy();
+        throw new Error(`Unsupported image type "${contentType || 'unknown'}" for ${url}`);
+    }
+
+    const contentLength = parseInt(response.headers['content-length']);
+    if (contentLength > MAX_IMAGE_BYTES) {
+        response.data.destroy();
+        throw new Error(`Image ${url} is ${contentLength} bytes, over the ${MAX_IMAGE_BYTES} byte limit`);
+    }
+
     return new Promise((resolve, reject) => {
         const writer = fs.createWriteStream(filepath);
+        let received = 0;
+
+        const fail = (error) => {
+            response.data.destroy();
+            writer.destroy();
+            fs.rm(filepath, { force: true }, () => reject(error));
+        };
+
+        // Content-Length can be missing or wrong, so count what arrives too
+        response.data.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > MAX_IMAGE_BYTES) {
+                fail(new Error(`Image ${url} is over the ${MAX_IMAGE_BYTES} byte limit`));
+            }
+        });
+        response.data.on('error', fail);
         response.data.pipe(writer);
         writer.on('finish', resolve);
-        writer.on('error', reject);
+        writer.on('error', fail);
     });
 }
 
-// Helper function to create a video from an image
-function createVideoFromImage(inputPath, outputPath, duration = 3) {
+// Helper function to kill a running ffmpeg command when a job is cancelled.
+// The abort listener is removed once the command ends, so finished commands
+// aren't killed and listeners don't pile up on the job's signal.
+function killOnAbort(command, signal) {
+    if (!signal) return;
+
+    if (signal.aborted) {
+        command.kill('SIGKILL');
+        return;
+    }
+
+    const onAbort = () => command.kill('SIGKILL');
+    const stopListening = () => signal.removeEventListener('abort', onAbort);
+    signal.addEventListener('abort', onAbort, { once: true });
+    command.on('end', stopListening).on('error', stopListening);
+}
+
+// Helper function to kill an ffmpeg command that runs longer than
+// `timeoutMs`. `reject` is called with a timeout error; returns a function
+// that clears the timer once the command has finished.
+function killOnTimeout(command, timeoutMs, label, reject) {
+    const timer = setTimeout(() => {
+        console.error(`FFmpeg ${label} timed out after ${timeoutMs}ms, killing it`);
+        command.kill('SIGKILL');
+        reject(new Error(`FFmpeg ${label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    return () => clearTimeout(timer);
+}
+
+// Ken Burns moves, cycled through slide by slide so consecutive images move
+// differently. Zoom goes from zoomStart to zoomEnd; x and y are the focus
+// point as a fraction of the room left to pan, moving from start to end.
+const KEN_BURNS_MOVES = [
+    { zoomStart: 1, zoomEnd: 1.2, x: [0.5, 0.5], y: [0.5, 0.5] },
+    { zoomStart: 1.2, zoomEnd: 1, x: [0.5, 0.5], y: [0.3, 0.3] },
+    { zoomStart: 1.15, zoomEnd: 1.15, x: [0, 1], y: [0.5, 0.5] },
+    { zoomStart: 1, zoomEnd: 1.2, x: [0.7, 0.7], y: [0.7, 0.7] },
+    { zoomStart: 1.15, zoomEnd: 1.15, x: [1, 0], y: [0.4, 0.4] },
+    { zoomStart: 1.2, zoomEnd: 1, x: [0.3, 0.3], y: [0.7, 0.7] }
+];
+
+// zoompan rounds the crop position to whole pixels, which makes slow moves
+// shimmer. Upscaling first makes each pixel step a fraction of an output
+// pixel, and driving every value from the frame number (`on`) keeps the
+// motion linear instead of accumulating rounding error.
+const KEN_BURNS_UPSCALE = 3;
+
+// Helper function to build the zoompan filter for a slide
+function buildKenBurnsFilter(slideIndex, duration, { width, height, fps }) {
+    const move = KEN_BURNS_MOVES[slideIndex % KEN_BURNS_MOVES.length];
+    const frames = Math.round(duration * fps);
+    const progress = `on/${Math.max(1, frames - 1)}`;
+    const lerp = ([start, end]) => `(${start}+(${Number((end - start).toFixed(4))})*${progress})`;
+
+    const zoom = lerp([move.zoomStart, move.zoomEnd]);
+    return [
+        `scale=${width * KEN_BURNS_UPSCALE}:${height * KEN_BURNS_UPSCALE}`,
+        `zoompan=z='${zoom}':x='(iw-iw/zoom)*${lerp(move.x)}':y='(ih-ih/zoom)*${lerp(move.y)}':d=${frames}:s=${width}x${height}:fps=${fps}`
+    ].join(',');
+}
+
+// Helper function to create a video from an image in the size, frame rate
+// and codec of `preset`. With `motion` set to 'kenburns' the image slowly
+// pans and zooms; `slideIndex` picks the move. A `card` shows only the
+// darkened, blurred image, as a backdrop for text. `overlays` are filters
+// (such as drawtext) applied on top of the frame.
+function createVideoFromImage(inputPath, outputPath, { preset, duration = 3, motion = 'none', slideIndex = 0, card = false, overlays = [] } = {}, signal) {
     return new Promise((resolve, reject) => {
+        const { width, height } = preset;
+        const moving = motion === 'kenburns' && !card;
+        const finish = (label) => [label, ...overlays].join(',') + '[final]';
+        const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:5`;
+
         // Complex filter to create TikTok-style video with blurred background
-        const filter = [
-            // Split the input into two streams
-            '[0:v]split[original][blur]',
-            // Create blurred background
-            '[blur]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,boxblur=20:5[blurred]',
-            // Scale original image to fit within 1080x1920 while maintaining aspect ratio
-            '[original]scale=1080:1920:force_original_aspect_ratio=decrease[scaled]',
-            // Overlay the original image on top of the blurred background
-            '[blurred][scaled]overlay=(W-w)/2:(H-h)/2[final]'
-        ].join(';');
-
-        ffmpeg()
-            .input(inputPath)
-            .loop(duration)
+        const filter = card
+            ? [
+                // Blurred, darkened image filling the whole frame
+                finish(`[0:v]${fill},eq=brightness=-0.2`)
+            ].join(';')
+            : [
+                // Split the input into two streams
+                '[0:v]split[original][blur]',
+                // Create blurred background
+                `[blur]${fill}[blurred]`,
+                // Scale original image to fit within the frame while maintaining aspect ratio
+                `[original]scale=${width}:${height}:force_original_aspect_ratio=decrease[scaled]`,
+                // Overlay the original image on top of the blurred background,
+                // then move it before any text is drawn so the text stays still
+                finish(moving
+                    ? `[blurred][scaled]overlay=(W-w)/2:(H-h)/2,${buildKenBurnsFilter(slideIndex, duration, preset)}`
+                    : '[blurred][scaled]overlay=(W-w)/2:(H-h)/2')
+            ].join(';');
+
+        const command = ffmpeg().input(inputPath);
+        // zoompan turns the single input frame into the whole clip itself
+        if (!moving) {
+            command.loop(duration);
+        }
+        command
             .outputOptions([
-                '-c:v libx264',
-                '-t ' + duration,
-                '-pix_fmt yuv420p',
-                '-preset ultrafast',
-                '-r 30'  // Set framerate to 30fps
+                ...getEncoderOptions(preset),
+                '-t ' + duration
             ])
             .complexFilter(filter, 'final')
             .save(outputPath)
             .on('end', () => {
+                stopTimer();
                 // Verify the duration of the created clip
                 ffmpeg.ffprobe(outputPath, (err, metadata) => {
                     if (err) {
@@ -73,61 +237,25 @@ function createVideoFromImage(inputPath, outputPath, duration = 3) {
                 });
             })
             .on('error', (err) => {
+                stopTimer();
                 console.error('FFmpeg error in createVideoFromImage:', err);
                 reject(err);
             });
-    });
-}
-
-// Helper function to concatenate videos in batches
-async function concatenateVideosInBatches(inputPaths, outputPath, batchSize = 5) {
-    if (inputPaths.length <= batchSize) {
-        return concatenateVideos(inputPaths, outputPath);
-    }
-
-    // Process videos in batches
-    const batches = [];
-    for (let i = 0; i < inputPaths.length; i += batchSize) {
-        const batch = inputPaths.slice(i, i + batchSize);
-        const batchOutputPath = path.join(path.dirname(outputPath), `batch_${i/batchSize}.mp4`);
-        await concatenateVideos(batch, batchOutputPath);
-        batches.push(batchOutputPath);
-    }
-
-    // Final concatenation of batches
-    const command = ffmpeg();
-    
-    // Create a concat file
-    const concatFilePath = path.join(path.dirname(outputPath), 'concat.txt');
-    const concatContent = batches.map(file => `file '${file}'`).join('\n');
-    fs.writeFileSync(concatFilePath, concatContent);
 
-    return new Promise((resolve, reject) => {
-        command
-            .input(concatFilePath)
-            .inputOptions(['-f concat', '-safe 0'])
-            .outputOptions([
-                '-c copy',
-                '-movflags +faststart'
-            ])
-            .save(outputPath)
-            .on('end', () => {
-                // Clean up batch files
-                batches.forEach(file => fs.unlinkSync(file));
-                fs.unlinkSync(concatFilePath);
-                resolve();
-            })
-            .on('error', reject);
+        const stopTimer = killOnTimeout(command, CLIP_TIMEOUT_MS, `render of ${path.basename(inputPath)}`, reject);
+        killOnAbort(command, signal);
     });
 }
 
-// Helper function to concatenate videos
-function concatenateVideos(inputPaths, outputPath) {
+// Helper function to concatenate videos. Every clip is rendered with the
+// same codec, size and frame rate, so the streams are copied rather than
+// re-encoded, which keeps the final step fast and light on memory.
+function concatenateVideos(inputPaths, outputPath, { onProgress = () => {}, signal, expectedDuration } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`Concatenating ${inputPaths.length} video clips`);
         
         // Create a concat file
-        const concatFilePath = path.join(path.dirname(outputPath), 'concat.txt');
+        const concatFilePath = outputPath.replace(/\.mp4$/, '_concat.txt');
         const concatContent = inputPaths.map(file => `file '${file}'`).join('\n');
         fs.writeFileSync(concatFilePath, concatContent);
 
@@ -139,19 +267,18 @@ function concatenateVideos(inputPaths, outputPath) {
             .input(concatFilePath)
             .inputOptions(['-f concat', '-safe 0'])
             .outputOptions([
-                '-c:v libx264',
-                '-preset ultrafast',
-                '-pix_fmt yuv420p',
-                '-movflags +faststart',
-                '-r 30'  // Maintain 30fps
+                '-c copy',
+                '-movflags +faststart'
             ])
             .on('start', (commandLine) => {
                 console.log('FFmpeg command:', commandLine);
             })
             .on('progress', (progress) => {
                 console.log('Processing: ', progress.percent, '% done');
+                onProgress(progress.percent);
             })
             .on('end', () => {
+                stopTimer();
                 // Verify final video duration
                 ffmpeg.ffprobe(outputPath, (err, metadata) => {
                     if (err) {
@@ -160,7 +287,6 @@ function concatenateVideos(inputPaths, outputPath) {
                         return;
                     }
                     const actualDuration = metadata.format.duration;
-                    const expectedDuration = inputPaths.length * 3;
                     console.log(`Final video duration: ${actualDuration}s (expected: ${expectedDuration}s)`);
                     
                     // Clean up concat file
@@ -169,6 +295,7 @@ function concatenateVideos(inputPaths, outputPath) {
                 });
             })
             .on('error', (err) => {
+                stopTimer();
                 console.error('FFmpeg error:', err);
                 // Clean up concat file even on error
                 if (fs.existsSync(concatFilePath)) {
@@ -177,19 +304,395 @@ function concatenateVideos(inputPaths, outputPath) {
                 reject(err);
             })
             .save(outputPath);
+
+        const stopTimer = killOnTimeout(command, CONCAT_TIMEOUT_MS, 'concatenation', reject);
+        killOnAbort(command, signal);
     });
 }
 
-// Main video generation function
-async function generateVideoFromImages(images, postTitle) {
+// Helper function to convert an ffmpeg timemark (HH:MM:SS.ms) to seconds
+function timemarkToSeconds(timemark) {
+    return String(timemark || '0').split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Helper function to join clips with xfade transitions, encoding for
+// `preset`. Each transition starts `transitionDuration` before the end of
+// the video so far, so every slide overlaps the next one.
+function joinClipsWithTransitions(inputPaths, outputPath, options, { preset, onProgress = () => {}, signal, expectedDuration } = {}) {
+    return new Promise((resolve, reject) => {
+        const { slideDuration, transition, transitionDuration } = options;
+        console.log(`Joining ${inputPaths.length} video clips with ${transition} transitions`);
+
+        const command = ffmpeg();
+        inputPaths.forEach(inputPath => command.input(inputPath));
+
+        const filter = [];
+        let previous = '[0:v]';
+        for (let i = 1; i < inputPaths.length; i++) {
+            const offset = (i * (slideDuration - transitionDuration)).toFixed(3);
+            const output = i === inputPaths.length - 1 ? '[final]' : `[x${i}]`;
+            filter.push(`${previous}[${i}:v]xfade=transition=${TRANSITIONS[transition]}:duration=${transitionDuration}:offset=${offset}${output}`);
+            previous = output;
+        }
+
+        command
+            .complexFilter(filter.join(';'), 'final')
+            .outputOptions([
+                ...getEncoderOptions(preset),
+                '-movflags +faststart'
+            ])
+            .on('start', (commandLine) => {
+                console.log('FFmpeg command:', commandLine);
+            })
+            .on('progress', (progress) => {
+                // fluent-ffmpeg's percent only knows the first input's length
+                const percent = Math.min(100, (timemarkToSeconds(progress.timemark) / expectedDuration) * 100);
+                onProgress(percent);
+            })
+            .on('end', () => {
+                stopTimer();
+                ffmpeg.ffprobe(outputPath, (err, metadata) => {
+                    if (err) {
+                        console.error('Error verifying final video duration:', err);
+                        reject(err);
+                        return;
+                    }
+                    console.log(`Final video duration: ${metadata.format.duration}s (expected: ${expectedDuration}s)`);
+                    resolve();
+                });
+            })
+            .on('error', (err) => {
+                stopTimer();
+                console.error('FFmpeg error in joinClipsWithTransitions:', err);
+                reject(err);
+            })
+            .save(outputPath);
+
+        const stopTimer = killOnTimeout(command, CONCAT_TIMEOUT_MS, 'transitions', reject);
+        killOnAbort(command, signal);
+    });
+}
+
+// Helper function to lay a music track under a video. The track loops or is
+// trimmed to the video's length, is loudness-normalized and fades in and out.
+function addBackgroundMusic(videoPath, trackPath, outputPath, { duration, signal }) {
+    return new Promise((resolve, reject) => {
+        const fadeOutStart = Math.max(0, duration - MUSIC_FADE_OUT_SECONDS).toFixed(3);
+        const filter = [
+            `[1:a]atrim=0:${duration.toFixed(3)}`,
+            'asetpts=PTS-STARTPTS',
+            `loudnorm=I=${MUSIC_TARGET_LUFS}:TP=-1.5:LRA=11`,
+            // loudnorm resamples to 192kHz internally
+            'aresample=48000',
+            `afade=t=in:st=0:d=${MUSIC_FADE_IN_SECONDS}`,
+            `afade=t=out:st=${fadeOutStart}:d=${MUSIC_FADE_OUT_SECONDS}[music]`
+        ].join(',');
+
+        const command = ffmpeg()
+            .input(videoPath)
+            .input(trackPath)
+            // Loop the track for videos longer than it is
+            .inputOptions(['-stream_loop -1'])
+            .complexFilter(filter)
+            .outputOptions([
+                '-map 0:v',
+                '-map [music]',
+                '-c:v copy',
+                '-c:a aac',
+                '-b:a 192k',
+                '-shortest',
+                '-movflags +faststart'
+            ])
+            .on('end', () => {
+                stopTimer();
+                resolve();
+            })
+            .on('error', (err) => {
+                stopTimer();
+                console.error('FFmpeg error in addBackgroundMusic:', err);
+                reject(err);
+            })
+            .save(outputPath);
+
+        const stopTimer = killOnTimeout(command, CONCAT_TIMEOUT_MS, 'music mix', reject);
+        killOnAbort(command, signal);
+    });
+}
+
+// Encoder options for a still image in `format`
+function getImageEncoderOptions(format) {
+    return format === 'webp'
+        ? ['-c:v libwebp', '-quality 80']
+        : ['-q:v 3'];
+}
+
+// Helper function to save one frame of a video as an image, optionally
+// scaled down to `width`. The first frame is used by default so the poster
+// matches what the player shows once playback starts.
+function extractFrame(inputPath, outputPath, { time = 0, width, format = POSTER_FORMAT, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg()
+            .input(inputPath)
+            .inputOptions([`-ss ${time}`])
+            .outputOptions([
+                '-frames:v 1',
+                ...(width ? [`-vf scale=${width}:-2`] : []),
+                ...getImageEncoderOptions(format)
+            ])
+            .on('end', () => {
+                stopTimer();
+                resolve();
+            })
+            .on('error', (err) => {
+                stopTimer();
+                console.error('FFmpeg error in extractFrame:', err);
+                reject(err);
+            })
+            .save(outputPath);
+
+        const stopTimer = killOnTimeout(command, CLIP_TIMEOUT_MS, `frame of ${path.basename(inputPath)}`, reject);
+        killOnAbort(command, signal);
+    });
+}
+
+// Helper function to turn `duration` seconds of a video, from `start`, into
+// a small silent animation that loops forever. GIFs get a palette built
+// from the clip itself so colours don't band.
+function createAnimatedPreview(inputPath, outputPath, { start = 0, duration = PREVIEW_DURATION, format = PREVIEW_FORMAT, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const resize = `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos`;
+        const filter = format === 'gif'
+            ? `[0:v]${resize},split[frames][source];[source]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer[final]`
+            : `[0:v]${resize}[final]`;
+
+        const command = ffmpeg()
+            .input(inputPath)
+            .inputOptions([`-ss ${start}`, `-t ${duration}`])
+            .complexFilter(filter, 'final')
+            .outputOptions([
+                '-an',
+                '-loop 0',
+                ...(format === 'webp' ? ['-c:v libwebp', '-quality 60', '-compression_level 6'] : [])
+            ])
+            .on('end', () => {
+                stopTimer();
+                resolve();
+            })
+            .on('error', (err) => {
+                stopTimer();
+                console.error('FFmpeg error in createAnimatedPreview:', err);
+                reject(err);
+            })
+            .save(outputPath);
+
+        const stopTimer = killOnTimeout(command, CLIP_TIMEOUT_MS, 'preview', reject);
+        killOnAbort(command, signal);
+    });
+}
+
+// Helper function to render, join, mix and upload the video for one preset,
+// with its poster, thumbnail and preview. The key of each stored file is
+// added to `uploadedKeys` as soon as it is uploaded.
+async function renderPreset(preset, slides, { workingDir, postTitle, instructions, renderOptions, track, timestamp, signal, onProgress, throwIfCancelled, uploadedKeys }) {
+    const reportProgress = (stage, current, total) => onProgress({ stage, current, total, preset: preset.name });
+    const prefix = preset.name;
+
+    // Clips in playing order: an optional title card, one clip per
+    // image, then an optional closing card
+    const textOptions = { width: preset.width, height: preset.height, workingDir };
+    const clips = slides.map((slide, index) => ({
+        name: `${prefix}_clip_${index}`,
+        inputPath: slide.path,
+        slideIndex: index,
+        overlays: renderOptions.captions
+            ? buildTextFilters(selectSlideCaption(slide.image, instructions), { ...textOptions, style: 'caption', position: 'bottom', name: `${prefix}_caption_${index}` })
+            : []
+    }));
+    if (renderOptions.titleCard) {
+        clips.unshift({
+            name: `${prefix}_title_card`,
+            inputPath: slides[0].path,
+            card: true,
+            overlays: buildTextFilters(postTitle, { ...textOptions, style: 'title', position: 'center', name: `${prefix}_title` })
+        });
+    }
+    if (renderOptions.closingCard) {
+        clips.push({
+            name: `${prefix}_closing_card`,
+            inputPath: slides[slides.length - 1].path,
+            card: true,
+            overlays: buildTextFilters(SITE_HANDLE, { ...textOptions, style: 'handle', position: 'center', name: `${prefix}_handle` })
+        });
+    }
+
+    // Render the clips, with at most RENDER_CONCURRENCY ffmpeg processes
+    // running at a time
+    let rendered = 0;
+    reportProgress('rendering', 0, clips.length);
+    const videoClips = await mapWithConcurrency(clips, RENDER_CONCURRENCY, async (clip) => {
+        throwIfCancelled();
+        const outputPath = path.join(workingDir, `${clip.name}.mp4`);
+        console.log(`Creating video clip ${clip.name} from ${clip.inputPath}`);
+        await createVideoFromImage(clip.inputPath, outputPath, {
+            preset,
+            duration: renderOptions.slideDuration,
+            motion: renderOptions.motion,
+            slideIndex: clip.slideIndex,
+            card: clip.card,
+            overlays: clip.overlays
+        }, signal);
+        reportProgress('rendering', ++rendered, clips.length);
+        return outputPath;
+    });
+
+    console.log(`Individual video clips created for ${preset.name}`);
+    throwIfCancelled();
+
+    // Join the clips, with transitions unless they're turned off
+    const finalVideoPath = path.join(workingDir, `${prefix}_final.mp4`);
+    const duration = calculateVideoDuration(videoClips.length, renderOptions);
+    const joinOptions = {
+        preset,
+        signal,
+        expectedDuration: duration,
+        onProgress: percent => reportProgress('concatenating', Math.round(percent || 0), 100)
+    };
+    reportProgress('concatenating', 0, 100);
+    if (TRANSITIONS[renderOptions.transition] && videoClips.length > 1) {
+        await joinClipsWithTransitions(videoClips, finalVideoPath, renderOptions, joinOptions);
+    } else {
+        await concatenateVideos(videoClips, finalVideoPath, joinOptions);
+    }
+
+    console.log('Video concatenation complete');
+    throwIfCancelled();
+
+    // Lay the chosen music track under the video
+    let outputVideoPath = finalVideoPath;
+    if (track) {
+        console.log(`Adding background music "${track.title}"`);
+        reportProgress('mixing', 0, 1);
+        outputVideoPath = path.join(workingDir, `${prefix}_final_music.mp4`);
+        await addBackgroundMusic(finalVideoPath, getTrackPath(track), outputVideoPath, { duration, signal });
+        throwIfCancelled();
+    }
+
+    // Poster from the first frame, a thumbnail scaled down from it and a
+    // short looping preview starting after the title card
+    reportProgress('previews', 0, 3);
+    const posterPath = path.join(workingDir, `${prefix}_poster.${POSTER_FORMAT}`);
+    await extractFrame(outputVideoPath, posterPath, { signal });
+    reportProgress('previews', 1, 3);
+
+    const thumbnailPath = path.join(workingDir, `${prefix}_thumbnail.${POSTER_FORMAT}`);
+    await extractFrame(posterPath, thumbnailPath, { width: THUMBNAIL_WIDTH, signal });
+    reportProgress('previews', 2, 3);
+
+    const previewStart = renderOptions.titleCard && videoClips.length > 1 ? renderOptions.slideDuration : 0;
+    const previewDuration = Math.min(PREVIEW_DURATION, duration - previewStart);
+    const previewPath = path.join(workingDir, `${prefix}_preview.${PREVIEW_FORMAT}`);
+    await createAnimatedPreview(outputVideoPath, previewPath, { start: previewStart, duration: previewDuration, signal });
+    reportProgress('previews', 3, 3);
+    throwIfCancelled();
+
+    // Upload to the configured storage; a failed upload fails the job
+    const sanitizedTitle = postTitle
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    const basename = `${sanitizedTitle}-${preset.name}-${timestamp}`;
+
+    const uploads = [
+        [outputVideoPath, `${basename}.mp4`],
+        [posterPath, `${basename}-poster.${POSTER_FORMAT}`],
+        [thumbnailPath, `${basename}-thumbnail.${POSTER_FORMAT}`],
+        [previewPath, `${basename}-preview.${PREVIEW_FORMAT}`]
+    ];
+    console.log('Uploading to storage as:', `${basename}.mp4`);
+    reportProgress('uploading', 0, uploads.length);
+
+    const stored = [];
+    for (const [filePath, filename] of uploads) {
+        throwIfCancelled();
+        const object = await putObject(filename, fs.readFileSync(filePath));
+        uploadedKeys.push(object.key);
+        stored.push(object);
+        reportProgress('uploading', stored.length, uploads.length);
+    }
+    const [video, poster, thumbnail, preview] = stored;
+
+    console.log('Video uploaded to storage:', video.url);
+
+    return {
+        preset: preset.name,
+        url: video.url,
+        poster: poster.url,
+        thumbnail: thumbnail.url,
+        preview: preview.url,
+        // Storage keys, for deleting the files later
+        keys: stored.map(object => object.key),
+        meta: {
+            duration,
+            imageCount: slides.length,
+            format: `${preset.width}x${preset.height}`,
+            preset: preset.name,
+            aspectRatio: preset.aspectRatio,
+            fps: preset.fps,
+            bitrate: preset.bitrate,
+            codec: preset.codec,
+            titleCard: renderOptions.titleCard,
+            closingCard: renderOptions.closingCard,
+            captionedSlides: clips.filter(clip => !clip.card && clip.overlays.length > 0).length,
+            music: track ? {
+                id: track.id,
+                title: track.title,
+                artist: track.artist,
+                license: track.license,
+                targetLufs: MUSIC_TARGET_LUFS
+            } : null,
+            slideDuration: renderOptions.slideDuration,
+            motion: renderOptions.motion,
+            transition: renderOptions.transition,
+            transitionDuration: TRANSITIONS[renderOptions.transition] ? renderOptions.transitionDuration : 0,
+            posterFormat: POSTER_FORMAT,
+            thumbnailWidth: THUMBNAIL_WIDTH,
+            previewFormat: PREVIEW_FORMAT,
+            previewDuration,
+            timestamp
+        }
+    };
+}
+
+// Main video generation function. `onProgress` receives { stage, current, total }
+// updates; aborting `signal` stops the render and resolves with status 'cancelled'.
+// `options` are render options as accepted by videoOptions; `instructions`
+// are the post's recipe steps, used to caption slides that show a step.
+async function generateVideoFromImages(images, postTitle, { onProgress = () => {}, signal, options = {}, instructions = [] } = {}) {
+    const renderOptions = resolveVideoOptions(options);
+
+    const throwIfCancelled = () => {
+        if (signal?.aborted) {
+            throw new Error('Video generation cancelled');
+        }
+    };
+
+    let workingDir = null;
+    // Files this job has stored so far, removed again if it doesn't complete
+    const uploadedKeys = [];
     try {
-        const timestamp = Date.now();
-        const workingDir = path.join(tempDir, `video_${timestamp}`);
-        
-        if (!fs.existsSync(workingDir)) {
-            fs.mkdirSync(workingDir);
+        // Pick the music first so a missing track fails before any rendering
+        const track = selectTrack({ music: renderOptions.music, mood: renderOptions.musicMood });
+        if (renderOptions.music !== 'none' && !track) {
+            throw new Error(`No music track matches ${renderOptions.musicMood ? `mood "${renderOptions.musicMood}"` : `"${renderOptions.music}"`}`);
         }
 
+        // Waits while temp/ is over its disk ceiling
+        workingDir = await acquireWorkspace({
+            signal,
+            onWait: (usedBytes, maxBytes) => onProgress({ stage: 'waiting', current: 0, total: 0, usedBytes, maxBytes })
+        });
+        const timestamp = Date.now();
+
         console.log(`Generating video for post: "${postTitle}"`);
         console.log(`Processing ${images.length} images`);
 
@@ -239,63 +742,80 @@ async function generateVideoFromImages(images, postTitle) {
             console.log(`${index + 1}. ${img.url}`);
         });
 
-        // Download all images
-        const imageFiles = await Promise.all(uniqueImages.map(async (image, index) => {
-            const ext = path.extname(image.url) || '.jpg';
+        // Download the images a few at a time. Images that fail or break the
+        // size and type limits are left out rather than failing the video.
+        let downloaded = 0;
+        onProgress({ stage: 'downloading', current: 0, total: uniqueImages.length });
+        const downloads = await mapWithConcurrency(uniqueImages, DOWNLOAD_CONCURRENCY, async (image, index) => {
+            throwIfCancelled();
+            const ext = path.extname(image.url.split('?')[0]) || '.jpg';
             const filepath = path.join(workingDir, `image_${index}${ext}`);
             console.log(`Downloading image ${index + 1}:`, image.url);
-            await downloadImage(image.url, filepath);
-            return filepath;
-        }));
-
-        console.log('Images downloaded successfully');
-
-        // Create individual video clips for each image
-        const videoClips = await Promise.all(imageFiles.map(async (imagePath, index) => {
-            const outputPath = path.join(workingDir, `clip_${index}.mp4`);
-            console.log(`Creating video clip ${index + 1} from ${imagePath}`);
-            await createVideoFromImage(imagePath, outputPath);
-            return outputPath;
-        }));
-
-        console.log('Individual video clips created');
-
-        // Concatenate all clips with transitions
-        const finalVideoPath = path.join(workingDir, 'final.mp4');
-        await concatenateVideos(videoClips, finalVideoPath);
-
-        console.log('Video concatenation complete');
-
-        // Upload to Vercel Blob
-        console.log('Reading final video file');
-        const videoBuffer = fs.readFileSync(finalVideoPath);
-        
-        const sanitizedTitle = postTitle
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-+|-+$/g, '');
-            
-        const filename = `${sanitizedTitle}-${timestamp}.mp4`;
-        console.log('Uploading to Vercel Blob as:', filename);
-        
-        const blobUrl = await uploadToVercelBlob(videoBuffer, filename);
-
-        console.log('Video uploaded to Vercel Blob:', blobUrl);
+            try {
+                await downloadImage(image.url, filepath, signal);
+            } catch (error) {
+                throwIfCancelled();
+                console.error(`Skipping image ${index + 1}: ${error.message}`);
+                return null;
+            } finally {
+                onProgress({ stage: 'downloading', current: ++downloaded, total: uniqueImages.length });
+            }
+            return { path: filepath, image };
+        });
+        const slides = downloads.filter(Boolean);
 
-        // Clean up temporary files
-        fs.rmSync(workingDir, { recursive: true, force: true });
+        throwIfCancelled();
+        if (slides.length === 0) {
+            throw new Error('None of the images could be downloaded');
+        }
+        console.log(`Downloaded ${slides.length} of ${uniqueImages.length} images`);
+
+        // Render every preset from the same downloaded images
+        const renders = [];
+        for (const presetName of renderOptions.presets) {
+            renders.push(await renderPreset(getVideoPreset(presetName), slides, {
+                workingDir,
+                postTitle,
+                instructions,
+                renderOptions,
+                track,
+                timestamp,
+                signal,
+                onProgress,
+                throwIfCancelled,
+                uploadedKeys
+            }));
+        }
 
+        // The first preset is the post's main video
         return {
             status: 'completed',
-            url: blobUrl,
-            meta: {
-                duration: videoClips.length * 3, // 3 seconds per image
-                imageCount: uniqueImages.length,
-                format: '1080x1920',
-                timestamp
-            }
+            url: renders[0].url,
+            poster: renders[0].poster,
+            thumbnail: renders[0].thumbnail,
+            preview: renders[0].preview,
+            meta: renders[0].meta,
+            renders
         };
     } catch (error) {
+        // Presets rendered before the failure or cancellation won't be
+        // recorded, so nothing would ever point at their files
+        if (uploadedKeys.length > 0) {
+            const deleted = await deleteObjects(uploadedKeys);
+            console.log(`Deleted ${deleted} of ${uploadedKeys.length} uploaded file(s) of the unfinished video for "${postTitle}"`);
+        }
+
+        if (signal?.aborted) {
+            console.log(`Video generation cancelled for post: "${postTitle}"`);
+            return {
+                status: 'cancelled',
+                meta: {
+                    imageCount: images.length,
+                    timestamp: Date.now()
+                }
+            };
+        }
+
         console.error('Error generating video:', error);
         return {
             status: 'error',
@@ -305,6 +825,11 @@ async function generateVideoFromImages(images, postTitle) {
                 timestamp: Date.now()
             }
         };
+    } finally {
+        // Remove the workspace whether the render finished, failed or was cancelled
+        if (workingDir) {
+            await releaseWorkspace(workingDir);
+        }
     }
 }
 
@@ -373,23 +898,8 @@ async function getEnhancedYoutubeData(videoId) {
     }
 }
 
-async function uploadToVercelBlob(buffer, filename) {
-    try {
-        const blob = await put(filename, buffer, {
-            access: 'public',
-            addRandomSuffix: true
-        });
-        
-        return blob.url;
-    } catch (error) {
-        console.error('Error uploading to Vercel Blob:', error);
-        return null;
-    }
-}
-
 module.exports = {
     extractYoutubeVideoId,
     getEnhancedYoutubeData,
-    generateVideoFromImages,
-    uploadToVercelBlob
+    generateVideoFromImages
 }; 
\ No newline at end of file
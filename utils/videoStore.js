@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { selectSlideCaption } = require('./videoText');
+
+// JSON file holding video-generation state per post. On read-only hosts
+// point VIDEO_STORE_PATH at a writable location such as /tmp.
+const STORE_PATH = process.env.VIDEO_STORE_PATH || path.join(process.cwd(), 'data', 'video-store.json');
+
+// Failed posts are retried until they have failed this many times with
+// the same images
+const MAX_ATTEMPTS = parseInt(process.env.VIDEO_MAX_ATTEMPTS) || 3;
+
+// A post still marked processing after this long was interrupted by a restart
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+let records = null;
+let writeQueue = Promise.resolve();
+
+function loadRecords() {
+    if (records) return records;
+
+    try {
+        records = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8')).posts || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading video store, starting empty:', error.message);
+        }
+        records = {};
+    }
+
+    return records;
+}
+
+// Write the whole store to a temp file and rename it into place so a
+// crash mid-write never leaves a truncated file. Writes are serialized.
+function persist() {
+    const snapshot = JSON.stringify({ version: 1, posts: records }, null, 2);
+
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(STORE_PATH), { recursive: true });
+            const tempPath = `${STORE_PATH}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, STORE_PATH);
+        })
+        .catch(error => {
+            console.error('Error writing video store:', error.message);
+        });
+
+    return writeQueue;
+}
+
+function hashUrl(url) {
+    return crypto.createHash('sha1').update(url || '').digest('hex');
+}
+
+// Hash each source image's URL; kept for records written before fingerprints
+function hashImageUrls(images) {
+    return images.map(image => hashUrl(image.url));
+}
+
+// Hash of what goes into a post's render: the title on the title card and
+// each image with the caption it is shown with, whether its own or the
+// recipe step that shows it. Edits to anything else leave it unchanged.
+function fingerprintPost(post, images, instructions = []) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([
+            post.title?.rendered || '',
+            images.map(image => [image.url, selectSlideCaption(image, instructions)])
+        ]))
+        .digest('hex');
+}
+
+// Helper function to tell whether a post changed since its last render.
+// Records written before fingerprints were stored compare image URLs only.
+function contentChanged(record, post, images, instructions) {
+    if (record.fingerprint) {
+        return record.fingerprint !== fingerprintPost(post, images, instructions);
+    }
+    return hashImageUrls(images).join() !== record.imageHashes.join();
+}
+
+function getVideoRecord(postId) {
+    return loadRecords()[postId] || null;
+}
+
+function updateVideoRecord(postId, changes) {
+    const store = loadRecords();
+    store[postId] = {
+        postId,
+        status: 'pending',
+        url: null,
+        imageHashes: [],
+        fingerprint: null,
+        modified: null,
+        attempts: 0,
+        lastError: null,
+        ...store[postId],
+        ...changes,
+        updatedAt: new Date().toISOString()
+    };
+    persist();
+    return store[postId];
+}
+
+// Decide whether a post needs a (new) video. `instructions` are the post's
+// recipe steps, which can caption its slides.
+function needsVideo(post, images, instructions) {
+    const record = getVideoRecord(post.id);
+    if (!record) return true;
+
+    if (contentChanged(record, post, images, instructions)) return true;
+    if (record.status === 'completed') return false;
+    if (record.status === 'processing') {
+        return Date.now() - new Date(record.updatedAt).getTime() > STALE_PROCESSING_MS;
+    }
+    if (record.status === 'failed') return record.attempts < MAX_ATTEMPTS;
+    return true;
+}
+
+function markVideoProcessing(post, images, instructions) {
+    const record = getVideoRecord(post.id);
+    // Attempts count failures for the current content only
+    const sameContent = record && !contentChanged(record, post, images, instructions);
+
+    return updateVideoRecord(post.id, {
+        status: 'processing',
+        imageHashes: hashImageUrls(images),
+        fingerprint: fingerprintPost(post, images, instructions),
+        modified: post.modified,
+        attempts: sameContent ? record.attempts : 0
+    });
+}
+
+function markVideoCompleted(postId, result) {
+    return updateVideoRecord(postId, {
+        status: 'completed',
+        url: result.url,
+        poster: result.poster || null,
+        thumbnail: result.thumbnail || null,
+        preview: result.preview || null,
+        meta: result.meta,
+        renders: result.renders || [],
+        lastError: null,
+        completedAt: new Date().toISOString()
+    });
+}
+
+// Storage keys of every file a record's renders point at. Records written
+// before keys were stored have none.
+function getStoredKeys(record) {
+    if (!record) return [];
+    return [record, ...(record.renders || [])].flatMap(item => item.keys || []);
+}
+
+function markVideoFailed(postId, errorMessage) {
+    const record = getVideoRecord(postId);
+    return updateVideoRecord(postId, {
+        status: 'failed',
+        attempts: (record?.attempts || 0) + 1,
+        lastError: errorMessage
+    });
+}
+
+const MEDIA_FIELDS = ['url', 'poster', 'thumbnail', 'preview'];
+
+// Helper function to tell whether a stored file's URL is the one for `key`
+function isUrlForKey(url, key) {
+    try {
+        return decodeURIComponent(new URL(url).pathname).endsWith(`/${key}`);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Forget a stored file that was deleted. Renders that lost their video are
+// dropped, and a post left without one is marked 'deleted' so it gets a new
+// video on the next run. Returns the IDs of the posts that were changed.
+function clearDeletedMedia(key) {
+    const changedPostIds = [];
+
+    const refersToKey = item => item.keys?.includes(key) ||
+        MEDIA_FIELDS.some(field => item[field] && isUrlForKey(item[field], key));
+
+    const clearFields = item => {
+        const cleared = { ...item };
+        MEDIA_FIELDS
+            .filter(field => item[field] && isUrlForKey(item[field], key))
+            .forEach(field => { cleared[field] = null; });
+        if (item.keys) cleared.keys = item.keys.filter(itemKey => itemKey !== key);
+        return cleared;
+    };
+
+    Object.values(loadRecords()).forEach(record => {
+        if (![record, ...(record.renders || [])].some(refersToKey)) return;
+
+        const renders = (record.renders || []).map(clearFields).filter(render => render.url);
+        // Posts rendered before presets only have the top-level fields
+        const main = record.renders?.length ? renders[0] || {} : clearFields(record);
+
+        const changes = {
+            renders,
+            url: main.url || null,
+            poster: main.poster || null,
+            thumbnail: main.thumbnail || null,
+            preview: main.preview || null,
+            meta: main.url ? main.meta || record.meta : null
+        };
+        if (!changes.url && record.status === 'completed') {
+            changes.status = 'deleted';
+        }
+        updateVideoRecord(record.postId, changes);
+        changedPostIds.push(record.postId);
+    });
+
+    return changedPostIds;
+}
+
+// A cancelled render doesn't count as a failed attempt
+function markVideoCancelled(postId) {
+    return updateVideoRecord(postId, {
+        status: 'cancelled'
+    });
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    getVideoRecord,
+    getStoredKeys,
+    needsVideo,
+    markVideoProcessing,
+    markVideoCompleted,
+    markVideoFailed,
+    markVideoCancelled,
+    clearDeletedMedia
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled so text renders the same on every host (SIL Open Font License,
+// see assets/fonts/OFL.txt)
+const FONT_PATH = process.env.VIDEO_FONT_PATH || path.join(__dirname, '..', 'assets', 'fonts', 'Lato-Regular.ttf');
+
+// Handle shown on the closing card
+const SITE_HANDLE = process.env.VIDEO_SITE_HANDLE || '@tiffycooks';
+
+// Parts of a vertical frame covered by TikTok, Reels and Shorts UI (the
+// header, the caption and music row, and the like/share buttons on the
+// right), as fractions of the frame. Text stays inside the rest.
+const SAFE_MARGINS = {
+    top: 0.13,
+    bottom: 0.25,
+    left: 0.08,
+    right: 0.14
+};
+
+// Text styles, with font sizes as a fraction of the frame width
+const TEXT_STYLES = {
+    title: { fontSize: 0.075, maxLines: 5, box: false },
+    caption: { fontSize: 0.045, maxLines: 4, box: true },
+    handle: { fontSize: 0.06, maxLines: 1, box: false }
+};
+
+// Average Lato glyph width as a fraction of the font size, used to wrap
+const AVERAGE_CHAR_WIDTH = 0.52;
+const LINE_SPACING = 1.3;
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    quot: '"',
+    apos: "'",
+    lt: '<',
+    gt: '>',
+    nbsp: ' ',
+    ndash: '\u2013',
+    mdash: '\u2014',
+    hellip: '\u2026'
+};
+
+// Helper function to turn WordPress-rendered titles like "Mom&#8217;s Tofu"
+// back into plain text
+function decodeEntities(text) {
+    return String(text || '')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Helper function to word-wrap text to lines of at most `maxChars`,
+// ending with an ellipsis when it needs more than `maxLines`
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ').filter(Boolean)) {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[\s.,;:]+$/, '')}\u2026`;
+        return kept;
+    }
+    return lines;
+}
+
+// Helper function to quote a path for use inside an ffmpeg filter graph
+function escapeFilterPath(filePath) {
+    return `'${filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\''")}'`;
+}
+
+// Build drawtext filters that place `text` inside the safe area of a
+// `width` x `height` frame. `position` is 'center' or 'bottom'. Each line
+// is written to its own file in `workingDir` so no text has to be escaped
+// for the filter graph. Returns [] when there is no text.
+function buildTextFilters(text, { width, height, style, position, workingDir, name }) {
+    const { fontSize: relativeSize, maxLines, box } = TEXT_STYLES[style];
+    const fontSize = Math.round(width * relativeSize);
+    const left = Math.round(width * SAFE_MARGINS.left);
+    const safeWidth = width - left - Math.round(width * SAFE_MARGINS.right);
+    const top = Math.round(height * SAFE_MARGINS.top);
+    const safeHeight = height - top - Math.round(height * SAFE_MARGINS.bottom);
+
+    const maxChars = Math.floor(safeWidth / (fontSize * AVERAGE_CHAR_WIDTH));
+    const lines = wrapText(decodeEntities(text), maxChars, maxLines);
+    if (lines.length === 0) return [];
+
+    const lineHeight = Math.round(fontSize * LINE_SPACING);
+    const blockHeight = lines.length * lineHeight;
+    const firstLineY = position === 'bottom'
+        ? top + safeHeight - blockHeight
+        : top + Math.round((safeHeight - blockHeight) / 2);
+
+    return lines.map((line, index) => {
+        const textFile = path.join(workingDir, `${name}_${index}.txt`);
+        fs.writeFileSync(textFile, line);
+
+        const styleOptions = box
+            ? `box=1:boxcolor=black@0.55:boxborderw=${Math.round(fontSize * 0.3)}`
+            : 'shadowcolor=black@0.6:shadowx=3:shadowy=3';
+
+        return [
+            `drawtext=fontfile=${escapeFilterPath(FONT_PATH)}`,
+            `textfile=${escapeFilterPath(textFile)}`,
+            // Show % and braces literally
+            'expansion=none',
+            `fontsize=${fontSize}`,
+            'fontcolor=white',
+            `x=${left}+(${safeWidth}-text_w)/2`,
+            `y=${firstLineY + index * lineHeight}`,
+            styleOptions
+        ].join(':');
+    });
+}
+
+// Helper function to compare image URLs across WordPress size variants,
+// e.g. photo-1024x683.jpg and photo.jpg
+function normalizeImageUrl(url) {
+    return String(url || '').split('?')[0].replace(/-\d+x\d+(?=\.[a-z]+$)/i, '');
+}
+
+// Pick a slide's caption: the image's own caption, or else the recipe
+// instruction step that shows the same image
+function selectSlideCaption(image, instructions = []) {
+    if (image.caption) return image.caption;
+
+    const imageUrl = normalizeImageUrl(image.url);
+    const step = instructions.find(instruction =>
+        instruction.image && normalizeImageUrl(instruction.image) === imageUrl);
+    return step?.text || '';
+}
+
+module.exports = {
+    FONT_PATH,
+    SITE_HANDLE,
+    SAFE_MARGINS,
+    decodeEntities,
+    wrapText,
+    buildTextFilters,
+    selectSlideCaption
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Deliveries older or newer than this are rejected as stale or replayed
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+const WEBHOOK_EVENTS = ['post.published', 'post.updated', 'post.deleted'];
+
+// Signatures already accepted within the tolerance window, so the exact
+// same delivery can't be replayed while its timestamp is still fresh
+const seenSignatures = new Map();
+
+function pruneSeenSignatures(now) {
+    for (const [signature, timestamp] of seenSignatures) {
+        if (now - timestamp > TOLERANCE_SECONDS) {
+            seenSignatures.delete(signature);
+        }
+    }
+}
+
+function sign(secret, timestamp, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
+}
+
+// Verify a delivery signed as HMAC-SHA256(secret, "<timestamp>.<raw body>").
+// The signature arrives as "sha256=<hex>" in X-Webhook-Signature and the
+// Unix timestamp in X-Webhook-Timestamp. Returns { valid, reason }.
+function verifyWebhookSignature(rawBody, headers, secret = process.env.WORDPRESS_WEBHOOK_SECRET) {
+    if (!secret) {
+        return { valid: false, reason: 'Webhook secret is not configured' };
+    }
+
+    const signatureHeader = headers['x-webhook-signature'] || '';
+    const timestamp = parseInt(headers['x-webhook-timestamp']);
+    const signature = signatureHeader.replace(/^sha256=/, '');
+
+    if (!signature || isNaN(timestamp)) {
+        return { valid: false, reason: 'Missing signature or timestamp' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - timestamp) > TOLERANCE_SECONDS) {
+        return { valid: false, reason: 'Timestamp is outside the allowed window' };
+    }
+
+    const expected = sign(secret, timestamp, rawBody || '');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+    if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+        return { valid: false, reason: 'Invalid signature' };
+    }
+
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(signature)) {
+        return { valid: false, reason: 'Delivery has already been processed' };
+    }
+    seenSignatures.set(signature, timestamp);
+
+    return { valid: true };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    verifyWebhookSignature
+};
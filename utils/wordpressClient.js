@@ -0,0 +1,95 @@
+const axios = require('axios');
+
+// Point WORDPRESS_API_URL at a local stand-in server for staging and tests
+const WORDPRESS_API_URL = (process.env.WORDPRESS_API_URL || 'https://tiffycooks.com/wp-json/wp/v2').replace(/\/+$/, '');
+const TIMEOUT_MS = parseInt(process.env.WORDPRESS_TIMEOUT_MS) || 10000;
+const MAX_RETRIES = process.env.WORDPRESS_MAX_RETRIES !== undefined
+    ? parseInt(process.env.WORDPRESS_MAX_RETRIES)
+    : 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WORDPRESS_RETRY_BASE_DELAY_MS) || 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+const client = axios.create({
+    baseURL: WORDPRESS_API_URL,
+    timeout: TIMEOUT_MS
+});
+
+// Error raised for failed WordPress requests. `status` is the status our API
+// should answer with; `upstreamStatus` is what WordPress returned, if anything.
+class WordPressApiError extends Error {
+    constructor(message, { status, upstreamStatus = null, code = null } = {}) {
+        super(message);
+        this.name = 'WordPressApiError';
+        this.status = status;
+        this.upstreamStatus = upstreamStatus;
+        this.code = code;
+    }
+}
+
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    // Timeouts and dropped connections
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+}
+
+// Exponential backoff with jitter, honouring Retry-After on 429s
+function getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(delay + Math.random() * RETRY_BASE_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+// Map an axios error to the error our API should report
+function toApiError(error, endpoint) {
+    const upstreamStatus = error.response?.status || null;
+    const code = error.response?.data?.code || error.code || null;
+    const upstreamMessage = error.response?.data?.message;
+
+    if (upstreamStatus === 404) {
+        return new WordPressApiError(upstreamMessage || `WordPress resource ${endpoint} not found`, { status: 404, upstreamStatus, code });
+    }
+    if (upstreamStatus === 400) {
+        return new WordPressApiError(upstreamMessage || 'Invalid request to WordPress', { status: 400, upstreamStatus, code });
+    }
+    if (upstreamStatus === 429) {
+        return new WordPressApiError('WordPress is rate limiting requests', { status: 503, upstreamStatus, code });
+    }
+    if (upstreamStatus) {
+        return new WordPressApiError(`WordPress responded with ${upstreamStatus} for ${endpoint}`, { status: 502, upstreamStatus, code });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new WordPressApiError(`WordPress request to ${endpoint} timed out`, { status: 504, code });
+    }
+    return new WordPressApiError(`Could not reach WordPress: ${error.message}`, { status: 502, code });
+}
+
+// GET a WordPress REST endpoint, e.g. get('/posts', { per_page: 10 }).
+// Retries 5xx, 429 and network failures with exponential backoff.
+async function get(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await client.get(endpoint, { params });
+        } catch (error) {
+            if (attempt < MAX_RETRIES && isRetryable(error)) {
+                const delay = getRetryDelay(error, attempt);
+                console.log(`WordPress request to ${endpoint} failed (${error.response?.status || error.code}), retrying in ${Math.round(delay)}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+            throw toApiError(error, endpoint);
+        }
+    }
+}
+
+module.exports = {
+    WORDPRESS_API_URL,
+    WordPressApiError,
+    get
+};
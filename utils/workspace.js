@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each render gets its own folder under temp/ for downloaded images and clips
+const TEMP_DIR = path.join(process.cwd(), 'temp');
+const WORKSPACE_PREFIX = 'video_';
+
+// Workspaces older than this that no job here is using are left over from a
+// crash or an earlier process, and are removed by the sweeper
+const WORKSPACE_MAX_AGE_MS = parseInt(process.env.VIDEO_WORKSPACE_MAX_AGE_MS) || 6 * 60 * 60 * 1000;
+
+// New jobs wait while workspaces take up more than this many bytes, and
+// fail once they have waited WORKSPACE_MAX_WAIT_MS
+const WORKSPACE_MAX_BYTES = parseInt(process.env.VIDEO_WORKSPACE_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+const WORKSPACE_MAX_WAIT_MS = parseInt(process.env.VIDEO_WORKSPACE_MAX_WAIT_MS) || 30 * 60 * 1000;
+const DISK_CHECK_INTERVAL_MS = 5000;
+
+// Workspaces of jobs running in this process, never swept
+const activeWorkspaces = new Set();
+
+if (!fs.existsSync(TEMP_DIR)) {
+    fs.mkdirSync(TEMP_DIR);
+}
+
+// Helper function to add up the size of every file under `dir`
+async function getDirectorySize(dir) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        // Removed while we were counting
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await getDirectorySize(entryPath);
+        } else {
+            total += await fs.promises.stat(entryPath).then(stats => stats.size, () => 0);
+        }
+    }
+    return total;
+}
+
+// Helper function to add up the size of the workspaces in temp/. Other
+// files there aren't ours to clean up, so they don't count.
+async function getWorkspacesSize() {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+        if (entry.isDirectory() && entry.name.startsWith(WORKSPACE_PREFIX)) {
+            total += await getDirectorySize(path.join(TEMP_DIR, entry.name));
+        }
+    }
+    return total;
+}
+
+// Helper function to wait `ms`, or reject as soon as `signal` aborts
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new Error('Video generation cancelled'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Video generation cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Create a workspace for a job, first waiting while workspaces use more than
+// WORKSPACE_MAX_BYTES. Each check over the ceiling sweeps stale workspaces
+// first, then waits however many jobs are running, since the space may be
+// held by another process or by workspaces not yet old enough to sweep.
+// Rejects once it has waited WORKSPACE_MAX_WAIT_MS, so a full disk fails
+// the job instead of holding its slot forever. `onWait` is called with the
+// current usage on every check that has to wait.
+async function acquireWorkspace({ signal, onWait = () => {} } = {}) {
+    const waitUntil = Date.now() + WORKSPACE_MAX_WAIT_MS;
+    for (;;) {
+        let usedBytes = await getWorkspacesSize();
+        if (usedBytes >= WORKSPACE_MAX_BYTES && await sweepWorkspaces() > 0) {
+            usedBytes = await getWorkspacesSize();
+        }
+        if (usedBytes < WORKSPACE_MAX_BYTES) break;
+
+        if (Date.now() >= waitUntil) {
+            throw new Error(`Video workspaces still use ${usedBytes} of ${WORKSPACE_MAX_BYTES} bytes after waiting ${Math.round(WORKSPACE_MAX_WAIT_MS / 1000)}s for space`);
+        }
+
+        console.log(`Temp workspaces use ${usedBytes} of ${WORKSPACE_MAX_BYTES} bytes, waiting before starting a render`);
+        onWait(usedBytes, WORKSPACE_MAX_BYTES);
+        await wait(Math.min(DISK_CHECK_INTERVAL_MS, waitUntil - Date.now()), signal);
+    }
+
+    // mkdtemp adds random characters and fails rather than reuse a folder,
+    // so jobs started in the same millisecond still get their own
+    const workingDir = await fs.promises.mkdtemp(path.join(TEMP_DIR, `${WORKSPACE_PREFIX}${Date.now()}_`));
+    activeWorkspaces.add(workingDir);
+    return workingDir;
+}
+
+// Remove a job's workspace, whatever the job's outcome
+async function releaseWorkspace(workingDir) {
+    try {
+        await fs.promises.rm(workingDir, { recursive: true, force: true });
+    } catch (error) {
+        // Left for the sweeper
+        console.error(`Error removing workspace ${workingDir}:`, error.message);
+    } finally {
+        activeWorkspaces.delete(workingDir);
+    }
+}
+
+// Remove workspaces older than WORKSPACE_MAX_AGE_MS that no running job
+// owns. Resolves with the number removed.
+async function sweepWorkspaces() {
+    const cutoff = Date.now() - WORKSPACE_MAX_AGE_MS;
+    let entries;
+    try {
+        entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+        const workingDir = path.join(TEMP_DIR, entry.name);
+        if (!entry.isDirectory() || !entry.name.startsWith(WORKSPACE_PREFIX) || activeWorkspaces.has(workingDir)) {
+            continue;
+        }
+
+        try {
+            const stats = await fs.promises.stat(workingDir);
+            if (stats.mtimeMs > cutoff) continue;
+
+            await fs.promises.rm(workingDir, { recursive: true, force: true });
+            removed++;
+        } catch (error) {
+            console.error(`Error sweeping workspace ${workingDir}:`, error.message);
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`Removed ${removed} stale video workspace(s)`);
+    }
+    return removed;
+}
+
+module.exports = {
+    TEMP_DIR,
+    acquireWorkspace,
+    releaseWorkspace,
+    sweepWorkspaces
+};